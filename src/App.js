@@ -1,6 +1,11 @@
 import React from "react";
 import ChatInterface from "./components/Chat/ChatInterface";
 import ErrorBoundary from "./components/UI/ErrorBoundary";
+import { RouterProvider } from "./context/RouterContext";
+import { PreferencesProvider } from "./context/PreferencesContext";
+import feedbackService from "./services/feedback";
+import outboxService from "./services/outbox";
+import websocketService from "./services/websocket";
 import { APP_CONFIG } from "./utils/constants";
 import "./App.scss";
 
@@ -12,15 +17,27 @@ function App() {
   };
 
   const handleOffline = () => {
-    console.warn("App went offline");
+    console.warn("App went offline - new messages will be queued");
+    websocketService.goOffline();
   };
 
   const handleOnline = () => {
     console.log("App back online");
+    websocketService.reconnect();
+    feedbackService.flush();
+    outboxService.flush();
   };
 
   // Add online/offline listeners
   React.useEffect(() => {
+    // Feedback queued during an earlier visit
+    feedbackService.flush();
+
+    // Opened without a connection
+    if (!navigator.onLine) {
+      handleOffline();
+    }
+
     window.addEventListener("offline", handleOffline);
     window.addEventListener("online", handleOnline);
 
@@ -36,7 +53,11 @@ function App() {
         onError={handleError}
         fallbackMessage="The chat application encountered an error. Please refresh the page to continue."
       >
-        <ChatInterface />
+        <PreferencesProvider>
+          <RouterProvider>
+            <ChatInterface />
+          </RouterProvider>
+        </PreferencesProvider>
       </ErrorBoundary>
 
       {/* App version info for development */}
@@ -1,8 +1,33 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen } from "@testing-library/react";
+import App from "./App";
+import { STORAGE_KEYS } from "./utils/constants";
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// No backend in tests: a fresh session with no history and a healthy API
+jest.mock("./services/api", () => ({
+  ...jest.requireActual("./services/api"),
+  sessionAPI: {
+    createSession: () => Promise.resolve("session-1"),
+    getSessionHistory: () => Promise.resolve([]),
+    clearSession: () => Promise.resolve({}),
+    getStats: () => Promise.resolve(null),
+  },
+  healthAPI: {
+    checkHealth: () => Promise.resolve({ status: "ok" }),
+    checkDetailed: () => Promise.resolve({ status: "ok" }),
+  },
+}));
+
+beforeEach(() => {
+  localStorage.clear();
+  window.history.pushState({}, "", "/");
+});
+
+test("starts a conversation and shows the welcome screen", async () => {
+  const { unmount } = render(<App />);
+
+  expect(await screen.findByText("Ready when you are.")).toBeInTheDocument();
+  expect(screen.getByPlaceholderText(/ask/i)).toBeInTheDocument();
+  expect(localStorage.getItem(STORAGE_KEYS.CURRENT_SESSION)).toBe("session-1");
+
+  unmount();
 });
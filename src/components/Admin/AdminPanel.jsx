@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useCallback } from "react";
+import ArticleImporter from "./ArticleImporter";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import { ingestionAPI } from "../../services/api";
+import { INGESTION_CONFIG, ERROR_MESSAGES } from "../../utils/constants";
+import { flattenStats } from "../../utils/format";
+import "./AdminPanel.scss";
+
+const AdminPanel = () => {
+  const [stats, setStats] = useState(null);
+  const [statsError, setStatsError] = useState(null);
+  const [isLoadingStats, setIsLoadingStats] = useState(false);
+  const [limit, setLimit] = useState(INGESTION_CONFIG.DEFAULT_LIMIT);
+  const [isIngesting, setIsIngesting] = useState(false);
+  const [ingestResult, setIngestResult] = useState(null);
+
+  const loadStats = useCallback(async () => {
+    setIsLoadingStats(true);
+    setStatsError(null);
+
+    try {
+      const response = await ingestionAPI.getIngestionStats();
+      setStats(response.data || response);
+    } catch (error) {
+      setStatsError(error.message || ERROR_MESSAGES.GENERIC);
+    } finally {
+      setIsLoadingStats(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  const handleIngest = async (e) => {
+    e.preventDefault();
+
+    const safeLimit = Math.min(
+      Math.max(parseInt(limit, 10) || 1, 1),
+      INGESTION_CONFIG.MAX_LIMIT
+    );
+    setLimit(safeLimit);
+    setIsIngesting(true);
+    setIngestResult(null);
+
+    try {
+      const response = await ingestionAPI.ingestNews(safeLimit);
+      setIngestResult({
+        success: true,
+        message:
+          response.message || `Requested ingestion of ${safeLimit} articles`,
+      });
+      loadStats();
+    } catch (error) {
+      setIngestResult({
+        success: false,
+        message: error.message || ERROR_MESSAGES.GENERIC,
+      });
+    } finally {
+      setIsIngesting(false);
+    }
+  };
+
+  const statRows = flattenStats(stats);
+
+  return (
+    <div className="page admin-panel">
+      <div className="page-header">
+        <h2>Admin</h2>
+        <p className="page-subtitle">Manage the news corpus</p>
+      </div>
+
+      <section className="page-section">
+        <div className="admin-section-header">
+          <h3>Ingestion stats</h3>
+          <button
+            type="button"
+            className="btn btn--secondary btn--sm"
+            onClick={loadStats}
+            disabled={isLoadingStats}
+          >
+            Refresh
+          </button>
+        </div>
+
+        {isLoadingStats && !stats ? (
+          <LoadingSpinner size="small" message="Loading stats..." />
+        ) : statsError ? (
+          <p className="admin-error">{statsError}</p>
+        ) : statRows.length === 0 ? (
+          <p className="page-empty">No stats reported.</p>
+        ) : (
+          <dl className="admin-stats">
+            {statRows.map((row) => (
+              <React.Fragment key={row.label}>
+                <dt>{row.label}</dt>
+                <dd>{row.value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+      </section>
+
+      <section className="page-section">
+        <h3>Fetch latest news</h3>
+        <form className="admin-ingest-form" onSubmit={handleIngest}>
+          <label>
+            Articles to fetch
+            <input
+              type="number"
+              min="1"
+              max={INGESTION_CONFIG.MAX_LIMIT}
+              value={limit}
+              onChange={(e) => setLimit(e.target.value)}
+              disabled={isIngesting}
+            />
+          </label>
+          <button
+            type="submit"
+            className="btn btn--primary btn--sm"
+            disabled={isIngesting}
+          >
+            {isIngesting ? "Ingesting..." : "Start ingestion"}
+          </button>
+        </form>
+
+        {ingestResult && (
+          <p className={ingestResult.success ? "admin-success" : "admin-error"}>
+            {ingestResult.message}
+          </p>
+        )}
+      </section>
+
+      <section className="page-section">
+        <h3>Add articles</h3>
+        <ArticleImporter onComplete={loadStats} />
+      </section>
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,398 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { ingestionAPI, apiUtils } from "../../services/api";
+import { prepareArticles, chunkArticles } from "../../utils/articles";
+import {
+  IMPORT_FORMATS,
+  detectFormat,
+  parseImport,
+  guessColumnMapping,
+  mapCSVRows,
+} from "../../utils/importParsers";
+import { ERROR_MESSAGES, INGESTION_CONFIG } from "../../utils/constants";
+
+const UPLOAD_STATES = {
+  IDLE: "idle",
+  UPLOADING: "uploading",
+  DONE: "done",
+};
+
+const AUTO_FORMAT = "auto";
+
+const FORMAT_LABELS = {
+  [AUTO_FORMAT]: "Detect automatically",
+  [IMPORT_FORMATS.JSON]: "JSON",
+  [IMPORT_FORMATS.CSV]: "CSV",
+  [IMPORT_FORMATS.FEED]: "RSS / Atom",
+};
+
+const FIELD_LABELS = {
+  title: "Title",
+  content: "Content",
+  url: "URL",
+  source: "Source",
+  publishedDate: "Published date",
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Send one batch, retrying network and server errors with backoff
+const sendBatchWithRetry = async (batch, onRetry) => {
+  for (let retry = 0; ; retry++) {
+    try {
+      return await ingestionAPI.addArticles(batch);
+    } catch (error) {
+      if (
+        !apiUtils.isRetriableError(error) ||
+        retry >= INGESTION_CONFIG.BATCH_RETRIES
+      ) {
+        throw error;
+      }
+
+      const delay = apiUtils.getRetryDelay(
+        retry,
+        INGESTION_CONFIG.BATCH_RETRY_DELAY
+      );
+      onRetry(retry + 1, delay);
+      await wait(delay);
+    }
+  }
+};
+
+// Paste or upload JSON, CSV or RSS/Atom files, preview per-row validation,
+// then send the valid articles to the backend in batches
+const ArticleImporter = ({ onComplete = null }) => {
+  const [input, setInput] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [formatChoice, setFormatChoice] = useState(AUTO_FORMAT);
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [parseError, setParseError] = useState(null);
+  const [uploadState, setUploadState] = useState(UPLOAD_STATES.IDLE);
+  const [progress, setProgress] = useState({ sent: 0, total: 0 });
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  // CSV rows are re-mapped whenever the column mapping changes
+  const rows = useMemo(() => {
+    if (!parsed) return [];
+
+    const records =
+      parsed.format === IMPORT_FORMATS.CSV
+        ? mapCSVRows(parsed.headers, parsed.rows, mapping)
+        : parsed.records;
+
+    return prepareArticles(records);
+  }, [parsed, mapping]);
+
+  const validRows = useMemo(
+    () => rows.filter((row) => row.errors.length === 0),
+    [rows]
+  );
+  const invalidCount = rows.length - validRows.length;
+  const isUploading = uploadState === UPLOAD_STATES.UPLOADING;
+
+  const resetResults = () => {
+    setParsed(null);
+    setSummary(null);
+    setParseError(null);
+    setUploadState(UPLOAD_STATES.IDLE);
+  };
+
+  const handlePreview = () => {
+    resetResults();
+
+    const format =
+      formatChoice === AUTO_FORMAT
+        ? detectFormat(fileName, input)
+        : formatChoice;
+
+    try {
+      const result = parseImport(format, input);
+      setParsed({ format, ...result });
+
+      if (format === IMPORT_FORMATS.CSV) {
+        setMapping(guessColumnMapping(result.headers));
+      }
+    } catch (error) {
+      setParseError(
+        `Could not read ${FORMAT_LABELS[format]} input: ${error.message}`
+      );
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      setInput(await file.text());
+      setFileName(file.name);
+      resetResults();
+    } catch (error) {
+      setParseError(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setInput(e.target.value);
+    // Typed text no longer comes from the uploaded file
+    setFileName("");
+  };
+
+  const uploadArticles = async (articles, skipped) => {
+    const batches = chunkArticles(articles);
+    const failures = [];
+    let added = 0;
+
+    setUploadState(UPLOAD_STATES.UPLOADING);
+    setSummary(null);
+    setProgress({ sent: 0, total: articles.length });
+
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i];
+
+      try {
+        await sendBatchWithRetry(batch, (attempt, delay) => {
+          if (isMountedRef.current) {
+            setRetryStatus(
+              `Batch ${i + 1} failed, retry ${attempt} of ${
+                INGESTION_CONFIG.BATCH_RETRIES
+              } in ${Math.round(delay / 1000)}s`
+            );
+          }
+        });
+        added += batch.length;
+      } catch (error) {
+        failures.push({
+          batch: i + 1,
+          articles: batch,
+          message: error.message || ERROR_MESSAGES.GENERIC,
+        });
+      }
+
+      // Stop updating state if the admin navigated away mid-upload
+      if (!isMountedRef.current) return;
+      setRetryStatus(null);
+      setProgress((prev) => ({ ...prev, sent: prev.sent + batch.length }));
+    }
+
+    setSummary({ added, skipped, failures });
+    setUploadState(UPLOAD_STATES.DONE);
+
+    if (added > 0 && onComplete) {
+      onComplete();
+    }
+  };
+
+  const handleUpload = () =>
+    uploadArticles(
+      validRows.map((row) => row.article),
+      invalidCount
+    );
+
+  const handleRetryFailed = () =>
+    uploadArticles(
+      summary.failures.flatMap((failure) => failure.articles),
+      0
+    );
+
+  const progressPercent = progress.total
+    ? Math.round((progress.sent / progress.total) * 100)
+    : 0;
+
+  const renderMapping = () => (
+    <div className="article-importer-mapping">
+      {Object.entries(FIELD_LABELS).map(([field, label]) => (
+        <label key={field}>
+          {label}
+          <select
+            value={mapping[field] || ""}
+            onChange={(e) =>
+              setMapping((prev) => ({ ...prev, [field]: e.target.value }))
+            }
+            disabled={isUploading}
+          >
+            <option value="">Not mapped</option>
+            {parsed.headers.map((header) => (
+              <option key={header} value={header}>
+                {header}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+
+  const renderPreview = () => (
+    <div className="article-importer-preview">
+      <table>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Title</th>
+            <th>Source</th>
+            <th>Published</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr
+              key={row.index}
+              className={row.errors.length ? "article-row--invalid" : ""}
+            >
+              <td>{row.index + 1}</td>
+              <td>{row.article?.title || "Untitled"}</td>
+              <td>{row.article?.source || "—"}</td>
+              <td>{row.article?.publishedDate || "—"}</td>
+              <td className="article-row-status">
+                {row.errors.length ? row.errors.join("; ") : "OK"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="article-importer">
+      <textarea
+        className="article-importer-input"
+        placeholder="Paste a JSON array, CSV with a header row, or an RSS/Atom feed"
+        value={input}
+        onChange={handleInputChange}
+        disabled={isUploading}
+        rows={8}
+      />
+
+      <div className="article-importer-actions">
+        <label className="btn btn--secondary btn--sm article-importer-file">
+          {fileName || "Upload file"}
+          <input
+            type="file"
+            accept=".json,.csv,.tsv,.xml,.rss,.atom,application/json,text/csv,application/xml,application/rss+xml,application/atom+xml"
+            onChange={handleFileChange}
+            disabled={isUploading}
+          />
+        </label>
+        <select
+          className="article-importer-format"
+          value={formatChoice}
+          onChange={(e) => setFormatChoice(e.target.value)}
+          disabled={isUploading}
+          aria-label="Input format"
+        >
+          {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn btn--secondary btn--sm"
+          onClick={handlePreview}
+          disabled={!input.trim() || isUploading}
+        >
+          Preview
+        </button>
+        <button
+          type="button"
+          className="btn btn--primary btn--sm"
+          onClick={handleUpload}
+          disabled={validRows.length === 0 || isUploading}
+        >
+          {isUploading
+            ? "Uploading..."
+            : `Add ${validRows.length} article${
+                validRows.length === 1 ? "" : "s"
+              }`}
+        </button>
+      </div>
+
+      {parseError && <p className="admin-error">{parseError}</p>}
+
+      {parsed?.format === IMPORT_FORMATS.CSV && renderMapping()}
+
+      {parsed && (
+        <>
+          <p className="article-importer-counts">
+            {FORMAT_LABELS[parsed.format]} · {validRows.length} valid ·{" "}
+            {invalidCount} with problems
+          </p>
+          {rows.length > 0 && renderPreview()}
+        </>
+      )}
+
+      {uploadState !== UPLOAD_STATES.IDLE && (
+        <div
+          className="article-importer-progress"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={progressPercent}
+        >
+          <div
+            className="article-importer-progress-bar"
+            style={{ width: `${progressPercent}%` }}
+          />
+          <span>
+            {progress.sent} / {progress.total}
+          </span>
+        </div>
+      )}
+
+      {retryStatus && <p className="article-importer-counts">{retryStatus}</p>}
+
+      {summary && (
+        <div className="article-importer-summary">
+          <p
+            className={
+              summary.failures.length ? "admin-error" : "admin-success"
+            }
+          >
+            Added {summary.added} article{summary.added === 1 ? "" : "s"}
+            {summary.skipped > 0 && `, skipped ${summary.skipped} invalid`}
+            {summary.failures.length > 0 &&
+              `, ${summary.failures.length} batch${
+                summary.failures.length === 1 ? "" : "es"
+              } failed`}
+            .
+          </p>
+          {summary.failures.length > 0 && (
+            <>
+              <ul>
+                {summary.failures.map((failure) => (
+                  <li key={failure.batch}>
+                    Batch {failure.batch} ({failure.articles.length} articles):{" "}
+                    {failure.message}
+                  </li>
+                ))}
+              </ul>
+              <button
+                type="button"
+                className="btn btn--secondary btn--sm"
+                onClick={handleRetryFailed}
+              >
+                Retry failed batches
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ArticleImporter;
@@ -1,26 +1,93 @@
-import React, { useEffect, useState, useCallback } from "react";
+import React, { useEffect, useState, useCallback, useRef } from "react";
 import MessageList from "./MessageList";
+import ConversationList from "./ConversationList";
+import SearchPanel from "../Search/SearchPanel";
+import LibraryView from "../Library/LibraryView";
+import HistoryPage from "../History/HistoryPage";
+import SettingsPage from "../Settings/SettingsPage";
+import HelpPage from "../Help/HelpPage";
+import AdminPanel from "../Admin/AdminPanel";
+import HealthDashboard from "../Health/HealthDashboard";
+import StatsPanel from "../Stats/StatsPanel";
 import LoadingSpinner from "../UI/LoadingSpinner";
+import Link from "../UI/Link";
+import StatusIndicator from "../UI/StatusIndicator";
+import ConnectionBanner from "../UI/ConnectionBanner";
+import { useRouter } from "../../context/RouterContext";
+import { usePreferences } from "../../context/PreferencesContext";
 import { useChat } from "../../hooks/useChat";
 import { useSession } from "../../hooks/useSession";
+import { useHealth } from "../../hooks/useHealth";
+import { useConnectionState } from "../../hooks/useConnectionState";
+import { useAutoSave } from "../../hooks/useAutoSave";
+import historyCache from "../../services/historyCache";
+import chatStorage from "../../services/chatStorage";
+import outboxService from "../../services/outbox";
+import {
+  historyToMessages,
+  deriveSessionTitle,
+} from "../../utils/messageHistory";
+import { ROUTE_NAMES, buildChatPath } from "../../utils/router";
 import {
   DEFAULT_MESSAGES,
   SUCCESS_MESSAGES,
   ERROR_MESSAGES,
+  ROUTES,
+  SEND_SHORTCUTS,
+  FEATURES,
 } from "../../utils/constants";
 import "./ChatInterface.scss";
 
+// Sidebar navigation entries
+const MENU_ITEMS = [
+  {
+    route: ROUTE_NAMES.SEARCH,
+    to: ROUTES.SEARCH,
+    icon: "🔍",
+    label: "Search chats",
+  },
+  {
+    route: ROUTE_NAMES.LIBRARY,
+    to: ROUTES.LIBRARY,
+    icon: "📚",
+    label: "Library",
+  },
+  {
+    route: ROUTE_NAMES.HISTORY,
+    to: ROUTES.HISTORY,
+    icon: "🕘",
+    label: "History",
+  },
+  {
+    route: ROUTE_NAMES.STATS,
+    to: ROUTES.STATS,
+    icon: "📊",
+    label: "Statistics",
+  },
+];
+
 const ChatInterface = () => {
+  const { route, navigate } = useRouter();
+  const { preferences } = usePreferences();
+  const routeSessionId = route.params.sessionId || null;
+
   const {
     currentSessionId,
+    sessions,
+    sessionHistory,
+    isLoadingHistory,
     isCreatingSession,
     createNewSession,
     startNewSession,
+    switchSession,
+    removeSession,
+    updateSessionEntry,
     clearCurrentSession,
-    getSessionInfo,
     exportSessionData,
+    sessionStats,
+    loadSessionStats,
     error: sessionError,
-  } = useSession();
+  } = useSession(routeSessionId);
 
   const {
     messages,
@@ -31,18 +98,46 @@ const ChatInterface = () => {
     error: chatError,
     isWebSocketConnected,
     sendMessage,
+    cancelQueuedMessage,
+    stopGeneration,
     retryMessage,
+    cancelRetry,
+    regenerateMessage,
+    selectMessageVariant,
+    editMessage,
+    selectMessageBranch,
     clearError,
     clearMessages,
+    hydrateMessages,
     addSystemMessage,
+    getChatStats,
     setCurrentMessage,
     canSendMessage,
     isActive,
-  } = useChat(currentSessionId);
+  } = useChat(currentSessionId, {
+    preferredTransport: preferences.preferredTransport,
+  });
+
+  const {
+    health,
+    history: healthHistory,
+    sessionStats: healthSessionStats,
+    isChecking: isCheckingHealth,
+    checkHealth,
+  } = useHealth();
+
+  const connection = useConnectionState();
 
   const [showWelcome, setShowWelcome] = useState(true);
   const [inputValue, setInputValue] = useState("");
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+  const [restoredSessionId, setRestoredSessionId] = useState(null);
+
+  const hydratedSessionRef = useRef(null);
+  const lastRouteSessionRef = useRef(routeSessionId);
+  const lastSessionRef = useRef(currentSessionId);
+  const isChatView = route.name === ROUTE_NAMES.CHAT;
 
   // Handle initial welcome message
   useEffect(() => {
@@ -51,6 +146,82 @@ const ChatInterface = () => {
     }
   }, [currentSessionId, messages.length, showWelcome]);
 
+  // Keep the conversation list entry in sync with the chat
+  useEffect(() => {
+    if (!currentSessionId || messages.length === 0) return;
+
+    updateSessionEntry(currentSessionId, {
+      title: deriveSessionTitle(messages) || DEFAULT_MESSAGES.NEW_CONVERSATION,
+      lastActivity: messages[messages.length - 1].timestamp,
+      messageCount: messages.length,
+    });
+  }, [currentSessionId, messages, updateSessionEntry]);
+
+  // Put a reopened conversation (page reload, switch) back on screen
+  // straight away from the copy kept in this browser: cached this visit,
+  // else saved in IndexedDB
+  useEffect(() => {
+    if (!currentSessionId) return;
+
+    let cancelled = false;
+
+    const restoreLocalCopy = async () => {
+      const saved =
+        historyCache.get(currentSessionId) ||
+        (await chatStorage.loadConversation(currentSessionId));
+
+      if (cancelled) return;
+      if (saved) hydrateMessages(saved);
+      setRestoredSessionId(currentSessionId);
+    };
+
+    restoreLocalCopy();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentSessionId, hydrateMessages]);
+
+  // Then merge the server history in once it has loaded. Local copies win
+  // for messages in both and keep their IDs, sources and timings; server
+  // turns the local copy replaced (regenerated answers, abandoned edit
+  // branches) are dropped, see mergeHistory.
+  useEffect(() => {
+    if (
+      restoredSessionId !== currentSessionId ||
+      isLoadingHistory ||
+      hydratedSessionRef.current === currentSessionId
+    ) {
+      return;
+    }
+
+    hydratedSessionRef.current = currentSessionId;
+    hydrateMessages(historyToMessages(sessionHistory, currentSessionId));
+  }, [
+    currentSessionId,
+    restoredSessionId,
+    isLoadingHistory,
+    sessionHistory,
+    hydrateMessages,
+  ]);
+
+  // Save the conversation locally as it changes
+  useAutoSave(currentSessionId, messages);
+
+  // Keep the local history cache current for search
+  useEffect(() => {
+    if (currentSessionId && messages.length > 0) {
+      historyCache.set(currentSessionId, messages);
+    }
+  }, [currentSessionId, messages]);
+
+  // Unknown paths fall back to the chat
+  useEffect(() => {
+    if (route.name === ROUTE_NAMES.NOT_FOUND) {
+      navigate(ROUTES.HOME, { replace: true });
+    }
+  }, [route.name, navigate]);
+
   // Handle send message
   const handleSendMessage = useCallback(async () => {
     const message = inputValue.trim();
@@ -68,7 +239,15 @@ const ChatInterface = () => {
 
   // Handle key press
   const handleKeyPress = (e) => {
-    if (e.key === "Enter" && !e.shiftKey) {
+    if (e.key !== "Enter" || e.nativeEvent.isComposing) return;
+
+    // Either plain Enter or Ctrl/Cmd+Enter sends, depending on preferences
+    const shouldSend =
+      preferences.sendShortcut === SEND_SHORTCUTS.CTRL_ENTER
+        ? e.ctrlKey || e.metaKey
+        : !e.shiftKey;
+
+    if (shouldSend) {
       e.preventDefault();
       handleSendMessage();
     }
@@ -77,8 +256,11 @@ const ChatInterface = () => {
   // Handle new session
   const handleNewSession = useCallback(async () => {
     try {
-      await startNewSession();
+      stopGeneration();
+      const newSessionId = await startNewSession();
       clearMessages();
+      setFocusedMessageId(null);
+      navigate(buildChatPath(newSessionId));
       setShowWelcome(true);
       setInputValue("");
     } catch (error) {
@@ -88,12 +270,101 @@ const ChatInterface = () => {
         "error"
       );
     }
-  }, [startNewSession, clearMessages, addSystemMessage]);
+  }, [
+    startNewSession,
+    stopGeneration,
+    clearMessages,
+    navigate,
+    addSystemMessage,
+  ]);
+
+  // Load another conversation into the chat
+  const loadSession = useCallback(
+    async (sessionId) => {
+      if (sessionId === currentSessionId) return;
+
+      try {
+        stopGeneration();
+        clearMessages();
+        setInputValue("");
+
+        // Messages are restored by the hydration effect once loaded
+        await switchSession(sessionId);
+      } catch (error) {
+        console.error("Error switching session:", error);
+        addSystemMessage(
+          `Failed to load conversation: ${error.message}`,
+          "error"
+        );
+      }
+    },
+    [
+      currentSessionId,
+      stopGeneration,
+      clearMessages,
+      switchSession,
+      addSystemMessage,
+    ]
+  );
+
+  // Open the conversation named in the URL (deep links, back/forward)
+  useEffect(() => {
+    if (routeSessionId === lastRouteSessionRef.current) return;
+    lastRouteSessionRef.current = routeSessionId;
+
+    if (routeSessionId && currentSessionId) {
+      loadSession(routeSessionId);
+    }
+  }, [routeSessionId, currentSessionId, loadSession]);
+
+  // Reflect the current conversation in the URL while chatting
+  useEffect(() => {
+    if (currentSessionId === lastSessionRef.current) return;
+    lastSessionRef.current = currentSessionId;
+
+    if (isChatView && currentSessionId && routeSessionId !== currentSessionId) {
+      // Replace bare "/" or "/chat" so back doesn't bounce to them
+      navigate(buildChatPath(currentSessionId), { replace: !routeSessionId });
+    }
+  }, [currentSessionId, isChatView, routeSessionId, navigate]);
+
+  // Handle picking a conversation from the sidebar
+  const handleSelectSession = useCallback(
+    (sessionId) => {
+      setSidebarOpen(false);
+      setFocusedMessageId(null);
+      navigate(buildChatPath(sessionId));
+    },
+    [navigate]
+  );
+
+  // Delete a conversation along with its locally saved copy
+  const handleRemoveSession = useCallback(
+    (sessionId) => {
+      historyCache.remove(sessionId);
+      outboxService.removeSession(sessionId);
+      removeSession(sessionId);
+    },
+    [removeSession]
+  );
+
+  // Jump from a search result or library citation to the message in its
+  // conversation
+  const handleJumpToMessage = useCallback(
+    (sessionId, messageId) => {
+      setFocusedMessageId(messageId);
+      navigate(buildChatPath(sessionId));
+    },
+    [navigate]
+  );
 
   // Handle clear session
   const handleClearSession = useCallback(async () => {
     try {
       await clearCurrentSession();
+      // Also forgets the copy saved in this browser, so the cleared
+      // messages neither come back on reopen nor show up in search
+      historyCache.remove(currentSessionId);
       clearMessages();
       setShowWelcome(true);
       setInputValue("");
@@ -101,12 +372,12 @@ const ChatInterface = () => {
       console.error("Error clearing session:", error);
       addSystemMessage(`Failed to clear session: ${error.message}`, "error");
     }
-  }, [clearCurrentSession, clearMessages, addSystemMessage]);
+  }, [currentSessionId, clearCurrentSession, clearMessages, addSystemMessage]);
 
   // Handle export session
   const handleExportSession = useCallback(() => {
     try {
-      const sessionData = exportSessionData();
+      const sessionData = exportSessionData(messages);
       const dataStr = JSON.stringify(sessionData, null, 2);
       const dataBlob = new Blob([dataStr], { type: "application/json" });
 
@@ -126,7 +397,7 @@ const ChatInterface = () => {
       console.error("Error exporting session:", error);
       addSystemMessage(`Failed to export session: ${error.message}`, "error");
     }
-  }, [exportSessionData, currentSessionId, addSystemMessage]);
+  }, [exportSessionData, messages, currentSessionId, addSystemMessage]);
 
   // Auto-resize textarea
   const adjustTextareaHeight = (textarea) => {
@@ -142,7 +413,61 @@ const ChatInterface = () => {
     adjustTextareaHeight(e.target);
   };
 
-  const sessionInfo = getSessionInfo();
+  // Render the page for non-chat routes
+  const renderPage = () => {
+    switch (route.name) {
+      case ROUTE_NAMES.SEARCH:
+        return (
+          <SearchPanel
+            sessions={sessions}
+            onSelectResult={handleJumpToMessage}
+            onClose={() => navigate(buildChatPath(currentSessionId))}
+          />
+        );
+      case ROUTE_NAMES.LIBRARY:
+        return (
+          <LibraryView
+            sessions={sessions}
+            onSelectCitation={handleJumpToMessage}
+          />
+        );
+      case ROUTE_NAMES.HISTORY:
+        return (
+          <HistoryPage
+            sessions={sessions}
+            currentSessionId={currentSessionId}
+            onRemoveSession={handleRemoveSession}
+          />
+        );
+      case ROUTE_NAMES.SETTINGS:
+        return <SettingsPage currentSessionId={currentSessionId} />;
+      case ROUTE_NAMES.HELP:
+        return <HelpPage />;
+      case ROUTE_NAMES.ADMIN:
+        return <AdminPanel />;
+      case ROUTE_NAMES.STATS:
+        return (
+          <StatsPanel
+            sessions={sessions}
+            chatStats={getChatStats()}
+            serverStats={sessionStats}
+            onRefreshServerStats={loadSessionStats}
+          />
+        );
+      case ROUTE_NAMES.HEALTH:
+        return (
+          <HealthDashboard
+            health={health}
+            history={healthHistory}
+            sessionStats={healthSessionStats}
+            isChecking={isCheckingHealth}
+            onRefresh={checkHealth}
+          />
+        );
+      default:
+        return null;
+    }
+  };
 
   // Show loading state while creating initial session
   if (isCreatingSession && !currentSessionId) {
@@ -194,37 +519,63 @@ const ChatInterface = () => {
         </div>
 
         <ul className="sidebar-menu">
-          <li className="menu-item">
-            <a href="#" className="menu-link">
-              <span className="icon">🔍</span>
-              Search chats
-            </a>
-          </li>
-          <li className="menu-item">
-            <a href="#" className="menu-link">
-              <span className="icon">📚</span>
-              Library
-            </a>
-          </li>
+          {MENU_ITEMS.map((item) => (
+            <li key={item.route} className="menu-item">
+              <Link
+                to={item.to}
+                className={`menu-link ${
+                  route.name === item.route ? "menu-link--active" : ""
+                }`}
+                onClick={() => setSidebarOpen(false)}
+              >
+                <span className="icon">{item.icon}</span>
+                {item.label}
+              </Link>
+            </li>
+          ))}
         </ul>
 
+        <ConversationList
+          sessions={sessions}
+          currentSessionId={currentSessionId}
+          onSelectSession={handleSelectSession}
+          onRemoveSession={handleRemoveSession}
+          disabled={isCreatingSession}
+        />
+
         <div className="sidebar-footer">
           <div className="footer-actions">
             <button
               className="footer-btn"
               onClick={handleClearSession}
-              disabled={!sessionInfo?.messageCount}
+              disabled={messages.length === 0}
             >
               Clear
             </button>
             <button
               className="footer-btn"
               onClick={handleExportSession}
-              disabled={!sessionInfo?.messageCount}
+              disabled={messages.length === 0}
             >
               Export
             </button>
           </div>
+          <div className="footer-links">
+            <Link to={ROUTES.SETTINGS} onClick={() => setSidebarOpen(false)}>
+              Settings
+            </Link>
+            <Link to={ROUTES.HEALTH} onClick={() => setSidebarOpen(false)}>
+              Status
+            </Link>
+            <Link to={ROUTES.HELP} onClick={() => setSidebarOpen(false)}>
+              Help
+            </Link>
+            {FEATURES.ADMIN_PANEL && (
+              <Link to={ROUTES.ADMIN} onClick={() => setSidebarOpen(false)}>
+                Admin
+              </Link>
+            )}
+          </div>
         </div>
       </div>
 
@@ -239,30 +590,63 @@ const ChatInterface = () => {
             ☰
           </button>
           <button className="model-selector">RAG News Chatbot</button>
+          <StatusIndicator
+            status={health.status}
+            lastChecked={healthSessionStats.lastChecked}
+          />
         </div>
 
+        <ConnectionBanner
+          state={connection.state}
+          reason={connection.reason}
+          reconnectAttempts={connection.reconnectAttempts}
+          maxReconnectAttempts={connection.maxReconnectAttempts}
+          nextRetryAt={connection.nextRetryAt}
+          latency={connection.latency}
+          isDegraded={connection.isDegraded}
+          isRestored={connection.isRestored}
+          onReconnect={connection.reconnect}
+          offlineOnly={!FEATURES.WEBSOCKET_ENABLED}
+        />
+
+        {!isChatView && (
+          <div className="chat-interface-messages">{renderPage()}</div>
+        )}
+
         {/* Messages */}
-        <div className="chat-interface-messages">
-          <div className="chat-content">
-            {messages.length === 0 ? (
-              <div className="chat-content-welcome">
-                <h1 className="welcome-title">Ready when you are.</h1>
-                <p className="welcome-message">
-                  Ask me anything about recent news and developments.
-                </p>
-              </div>
-            ) : (
-              <MessageList
-                messages={messages}
-                isLoading={false}
-                isTyping={isTyping}
-                onRetryMessage={retryMessage}
-                autoScroll={true}
-                showTimestamps={false}
-              />
-            )}
+        {isChatView && (
+          <div className="chat-interface-messages">
+            <div className="chat-content">
+              {messages.length === 0 && !isLoadingHistory ? (
+                <div className="chat-content-welcome">
+                  <h1 className="welcome-title">Ready when you are.</h1>
+                  <p className="welcome-message">
+                    Ask me anything about recent news and developments.
+                  </p>
+                </div>
+              ) : (
+                <MessageList
+                  messages={messages}
+                  isLoading={isLoadingHistory}
+                  isTyping={isTyping}
+                  onRetryMessage={retryMessage}
+                  onCancelRetry={cancelRetry}
+                  onRegenerateMessage={regenerateMessage}
+                  onSelectVariant={selectMessageVariant}
+                  onEditMessage={editMessage}
+                  onSelectBranch={selectMessageBranch}
+                  onCancelQueued={cancelQueuedMessage}
+                  isOffline={connection.isOffline}
+                  isGenerating={isLoading}
+                  autoScroll={preferences.autoScroll}
+                  showTimestamps={preferences.showTimestamps}
+                  focusedMessageId={focusedMessageId}
+                  sessionId={currentSessionId}
+                />
+              )}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Error Display */}
         {(chatError || sessionError) && (
@@ -282,45 +666,63 @@ const ChatInterface = () => {
         )}
 
         {/* Input */}
-        <div className="chat-interface-input">
-          <div className="chat-input-container">
-            <div className="input-wrapper">
-              <textarea
-                value={inputValue}
-                onChange={handleInputChange}
-                onKeyDown={handleKeyPress}
-                placeholder="Ask anything..."
-                className="message-input"
-                disabled={!canSendMessage || !currentSessionId}
-                rows={1}
-              />
-              <div className="input-actions">
-                <button
-                  className="action-btn"
-                  type="button"
-                  aria-label="Attach file"
-                >
-                  📎
-                </button>
-                <button
-                  className={`action-btn send-btn ${
-                    inputValue.trim() ? "active" : ""
-                  }`}
-                  onClick={handleSendMessage}
-                  disabled={
-                    !inputValue.trim() || !canSendMessage || !currentSessionId
-                  }
-                  aria-label="Send message"
-                >
-                  ↑
-                </button>
+        {isChatView && (
+          <div className="chat-interface-input">
+            <div className="chat-input-container">
+              <div className="input-wrapper">
+                <textarea
+                  value={inputValue}
+                  onChange={handleInputChange}
+                  onKeyDown={handleKeyPress}
+                  placeholder="Ask anything..."
+                  className="message-input"
+                  disabled={!canSendMessage || !currentSessionId}
+                  rows={1}
+                />
+                <div className="input-actions">
+                  <button
+                    className="action-btn"
+                    type="button"
+                    aria-label="Attach file"
+                  >
+                    📎
+                  </button>
+                  {isLoading ? (
+                    <button
+                      className="action-btn send-btn stop-btn active"
+                      onClick={stopGeneration}
+                      type="button"
+                      aria-label="Stop generating"
+                      title="Stop generating"
+                    >
+                      ■
+                    </button>
+                  ) : (
+                    <button
+                      className={`action-btn send-btn ${
+                        inputValue.trim() ? "active" : ""
+                      }`}
+                      onClick={handleSendMessage}
+                      disabled={
+                        !inputValue.trim() ||
+                        !canSendMessage ||
+                        !currentSessionId
+                      }
+                      aria-label="Send message"
+                    >
+                      ↑
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div className="input-hint">
+                {preferences.sendShortcut === SEND_SHORTCUTS.CTRL_ENTER
+                  ? "Press Ctrl+Enter to send, Enter for new line"
+                  : "Press Enter to send, Shift+Enter for new line"}
               </div>
-            </div>
-            <div className="input-hint">
-              Press Enter to send, Shift+Enter for new line
             </div>
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
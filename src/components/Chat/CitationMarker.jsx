@@ -0,0 +1,50 @@
+import React from "react";
+import { getContextDetails, getContextSnippet } from "../../utils/citations";
+
+// Inline [n] marker. Hover or focus shows the source; click jumps to it in
+// the message's source list. Markers we inferred because the model cited
+// nothing are styled apart and labelled as a possible source.
+const CitationMarker = ({
+  number,
+  source,
+  messageId,
+  isInferred = false,
+  onSelect = null,
+}) => {
+  const popoverId = `citation-${messageId}-${number}`;
+  const { title, outlet, similarity } = getContextDetails(source);
+  const snippet = getContextSnippet(source);
+
+  return (
+    <span className="citation">
+      <button
+        type="button"
+        className={`citation-marker ${
+          isInferred ? "citation-marker--inferred" : ""
+        }`}
+        aria-describedby={popoverId}
+        onClick={() => onSelect && onSelect(number)}
+      >
+        {number}
+        {isInferred && "?"}
+      </button>
+      <span id={popoverId} role="tooltip" className="citation-popover">
+        {isInferred && (
+          <span className="citation-popover-label">
+            Possible source · not cited by the model
+          </span>
+        )}
+        <span className="citation-popover-title">{title}</span>
+        <span className="citation-popover-meta">
+          {outlet && <span>{outlet}</span>}
+          {similarity !== null && (
+            <span>{Math.round(similarity * 100)}% match</span>
+          )}
+        </span>
+        {snippet && <span className="citation-popover-snippet">{snippet}</span>}
+      </span>
+    </span>
+  );
+};
+
+export default CitationMarker;
@@ -0,0 +1,89 @@
+import React, { memo } from "react";
+import { sortByLastActivity } from "../../utils/sessions";
+import "./ConversationList.scss";
+
+const ConversationList = memo(
+  ({
+    sessions = [],
+    currentSessionId = null,
+    onSelectSession,
+    onRemoveSession = null,
+    disabled = false,
+  }) => {
+    const sortedSessions = sortByLastActivity(sessions);
+
+    const formatLastActivity = (timestamp) => {
+      const date = new Date(timestamp);
+      const today = new Date().toDateString();
+
+      if (date.toDateString() === today) {
+        return date.toLocaleTimeString([], {
+          hour: "2-digit",
+          minute: "2-digit",
+        });
+      }
+
+      return date.toLocaleDateString([], { month: "short", day: "numeric" });
+    };
+
+    if (sortedSessions.length === 0) {
+      return (
+        <div className="conversation-list conversation-list--empty">
+          <p className="conversation-empty">No conversations yet</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="conversation-list">
+        <h3 className="conversation-list-title">Chats</h3>
+        <ul className="conversation-items">
+          {sortedSessions.map((session) => {
+            const isActive = session.id === currentSessionId;
+
+            return (
+              <li
+                key={session.id}
+                className={`conversation-item ${
+                  isActive ? "conversation-item--active" : ""
+                }`}
+              >
+                <button
+                  type="button"
+                  className="conversation-select"
+                  onClick={() => onSelectSession(session.id)}
+                  disabled={disabled || isActive}
+                  aria-current={isActive ? "true" : undefined}
+                  title={session.title}
+                >
+                  <span className="conversation-title">{session.title}</span>
+                  <span className="conversation-meta">
+                    {formatLastActivity(session.lastActivity)}
+                    {session.messageCount > 0 &&
+                      ` · ${session.messageCount} msgs`}
+                  </span>
+                </button>
+
+                {onRemoveSession && !isActive && (
+                  <button
+                    type="button"
+                    className="conversation-remove"
+                    onClick={() => onRemoveSession(session.id)}
+                    aria-label={`Remove ${session.title}`}
+                    title="Remove from list"
+                  >
+                    ✕
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  }
+);
+
+ConversationList.displayName = "ConversationList";
+
+export default ConversationList;
@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import { useFeedback } from "../../hooks/useFeedback";
+import {
+  FEEDBACK_RATINGS,
+  FEEDBACK_REASONS,
+  FEEDBACK_STATUS,
+  FEEDBACK_CONFIG,
+} from "../../utils/constants";
+import "./FeedbackControls.scss";
+
+const STATUS_MESSAGES = {
+  [FEEDBACK_STATUS.SENDING]: "Sending feedback...",
+  [FEEDBACK_STATUS.SENT]: "Thanks for your feedback",
+  [FEEDBACK_STATUS.QUEUED]: "Saved, will be sent when you're back online",
+  [FEEDBACK_STATUS.FAILED]: "Feedback could not be sent",
+};
+
+// Thumbs up/down for an answer. A thumb is sent as soon as it is clicked;
+// the optional reason and comment follow as an update to the same vote.
+const FeedbackControls = ({ messageId, onSubmit }) => {
+  const feedback = useFeedback(messageId);
+  const [isEditing, setIsEditing] = useState(false);
+  const [reason, setReason] = useState(null);
+  const [comment, setComment] = useState("");
+
+  const submit = (vote) => {
+    // Failures are reflected in the stored status
+    onSubmit(vote).catch(() => {});
+  };
+
+  const openDetails = (current) => {
+    setReason(current?.reason || null);
+    setComment(current?.comment || "");
+    setIsEditing(true);
+  };
+
+  const handleRate = (rating) => {
+    if (feedback?.rating === rating) {
+      if (isEditing) {
+        setIsEditing(false);
+      } else {
+        openDetails(feedback);
+      }
+      return;
+    }
+
+    submit({ rating });
+    openDetails(null);
+  };
+
+  const handleSubmitDetails = (e) => {
+    e.preventDefault();
+    submit({ rating: feedback.rating, reason, comment: comment.trim() });
+    setIsEditing(false);
+  };
+
+  const renderThumb = (rating, icon, label) => (
+    <button
+      type="button"
+      className={`feedback-button ${
+        feedback?.rating === rating ? "feedback-button--active" : ""
+      }`}
+      onClick={() => handleRate(rating)}
+      aria-pressed={feedback?.rating === rating}
+      aria-label={label}
+      title={label}
+    >
+      {icon}
+    </button>
+  );
+
+  return (
+    <div className="feedback-controls">
+      <div className="feedback-row">
+        {renderThumb(FEEDBACK_RATINGS.UP, "👍", "Good answer")}
+        {renderThumb(FEEDBACK_RATINGS.DOWN, "👎", "Bad answer")}
+        {feedback && !isEditing && (
+          <span
+            className={`feedback-status feedback-status--${feedback.status}`}
+            role="status"
+          >
+            {STATUS_MESSAGES[feedback.status]}
+          </span>
+        )}
+      </div>
+
+      {isEditing && feedback && (
+        <form className="feedback-details" onSubmit={handleSubmitDetails}>
+          {feedback.rating === FEEDBACK_RATINGS.DOWN && (
+            <div
+              className="feedback-reasons"
+              role="group"
+              aria-label="What was wrong?"
+            >
+              {FEEDBACK_REASONS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className={`feedback-reason ${
+                    reason === option.value ? "feedback-reason--active" : ""
+                  }`}
+                  onClick={() =>
+                    setReason(reason === option.value ? null : option.value)
+                  }
+                  aria-pressed={reason === option.value}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <textarea
+            className="feedback-comment"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            maxLength={FEEDBACK_CONFIG.COMMENT_MAX_LENGTH}
+            placeholder="Anything else? (optional)"
+            rows={2}
+          />
+          <div className="feedback-actions">
+            <button
+              type="button"
+              className="btn btn--secondary btn--sm"
+              onClick={() => setIsEditing(false)}
+            >
+              Skip
+            </button>
+            <button
+              type="submit"
+              className="btn btn--primary btn--sm"
+              disabled={!reason && !comment.trim()}
+            >
+              Send
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackControls;
@@ -0,0 +1,89 @@
+import React, { memo, useMemo } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import rehypeSanitize from "rehype-sanitize";
+import rehypeHighlight from "rehype-highlight";
+import CitationMarker from "./CitationMarker";
+import { prepareStreamingMarkdown } from "../../utils/markdown";
+import { remarkCitations, parseCitationHref } from "../../utils/citations";
+import "./MarkdownContent.scss";
+
+// Sanitize first so highlighting only ever decorates safe markup. Raw HTML
+// in the source is never rendered; sanitizing also strips unsafe URLs.
+const REHYPE_PLUGINS = [rehypeSanitize, [rehypeHighlight, { detect: false }]];
+
+const NO_CONTEXT = [];
+
+// Wide tables scroll instead of stretching the bubble
+const Table = ({ node, ...props }) => (
+  <div className="markdown-table">
+    <table {...props} />
+  </div>
+);
+
+// Renders assistant Markdown (GFM). While streaming, incomplete syntax is
+// patched so partial output renders the same way the final answer will.
+// "[n]" markers become citation popovers for entries in `context`.
+const MarkdownContent = memo(
+  ({
+    content = "",
+    isStreaming = false,
+    context = NO_CONTEXT,
+    messageId = null,
+    onCitationClick = null,
+  }) => {
+    const source = useMemo(
+      () => (isStreaming ? prepareStreamingMarkdown(content) : content),
+      [content, isStreaming]
+    );
+
+    const remarkPlugins = useMemo(
+      () => [remarkGfm, [remarkCitations, { count: context.length }]],
+      [context.length]
+    );
+
+    const components = useMemo(
+      () => ({
+        a: ({ node, href, children, ...props }) => {
+          const citation = parseCitationHref(href);
+          if (citation) {
+            return (
+              <CitationMarker
+                number={citation.number}
+                isInferred={citation.isInferred}
+                source={context[citation.number - 1]}
+                messageId={messageId}
+                onSelect={onCitationClick}
+              />
+            );
+          }
+
+          // External links always open in a new tab
+          return (
+            <a {...props} href={href} target="_blank" rel="noopener noreferrer">
+              {children}
+            </a>
+          );
+        },
+        table: Table,
+      }),
+      [context, messageId, onCitationClick]
+    );
+
+    return (
+      <div className="markdown-content">
+        <ReactMarkdown
+          remarkPlugins={remarkPlugins}
+          rehypePlugins={REHYPE_PLUGINS}
+          components={components}
+        >
+          {source}
+        </ReactMarkdown>
+      </div>
+    );
+  }
+);
+
+MarkdownContent.displayName = "MarkdownContent";
+
+export default MarkdownContent;
@@ -1,10 +1,95 @@
-import React, { memo } from "react";
-import { MESSAGE_TYPES } from "../../utils/constants";
+import React, {
+  memo,
+  useState,
+  useEffect,
+  useRef,
+  useMemo,
+  useCallback,
+} from "react";
+import MarkdownContent from "./MarkdownContent";
+import FeedbackControls from "./FeedbackControls";
+import { MESSAGE_TYPES, VALIDATION, CHAT_CONFIG } from "../../utils/constants";
+import { useCountdown } from "../../hooks/useCountdown";
+import { annotateCitations } from "../../utils/citations";
+import {
+  getActiveVariant,
+  getVariantCount,
+  getFeedbackKey,
+} from "../../utils/messageVariants";
+import { getBranchCount, getActiveBranch } from "../../utils/messageBranches";
 import "./MessageBubble.scss";
 
+const NO_CONTEXT = [];
+const SOURCE_HIGHLIGHT_DURATION = 2000;
+
 const MessageBubble = memo(
-  ({ message, isLast = false, showTimestamp = false, onRetry = null }) => {
-    const { id, type, content, timestamp, isStreaming, metadata } = message;
+  ({
+    message,
+    isLast = false,
+    isFocused = false,
+    showTimestamp = false,
+    onRetry = null,
+    onCancelRetry = null,
+    onOpenSource = null,
+    onFeedback = null,
+    onRegenerate = null,
+    onSelectVariant = null,
+    canRegenerate = true,
+    onEdit = null,
+    onSelectBranch = null,
+    canEdit = true,
+    onCancelQueued = null,
+    isOffline = false,
+  }) => {
+    const {
+      id,
+      type,
+      content,
+      timestamp,
+      isStreaming,
+      metadata,
+      retry,
+      pending,
+    } = message;
+    const context = metadata?.context || NO_CONTEXT;
+
+    const [sourcesOpen, setSourcesOpen] = useState(false);
+    const [highlightedSource, setHighlightedSource] = useState(null);
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState("");
+    const retrySecondsLeft = useCountdown(retry?.retryAt);
+    const sourcesRef = useRef(null);
+    const highlightTimeoutRef = useRef(null);
+
+    // Finished answers get citation markers; when the model wrote none,
+    // possible sources are inferred and marked as such
+    const displayContent = useMemo(
+      () =>
+        type === MESSAGE_TYPES.ASSISTANT && !isStreaming
+          ? annotateCitations(content, context)
+          : content,
+      [type, content, context, isStreaming]
+    );
+
+    useEffect(() => () => clearTimeout(highlightTimeoutRef.current), []);
+
+    // Open the source list and flash the cited entry
+    const handleCitationClick = useCallback((number) => {
+      setSourcesOpen(true);
+      setHighlightedSource(number);
+
+      requestAnimationFrame(() => {
+        sourcesRef.current
+          ?.querySelector(`[data-source-index="${number}"]`)
+          ?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      });
+
+      clearTimeout(highlightTimeoutRef.current);
+      highlightTimeoutRef.current = setTimeout(
+        () => setHighlightedSource(null),
+        SOURCE_HIGHLIGHT_DURATION
+      );
+    }, []);
 
     const formatTimestamp = (timestamp) => {
       const date = new Date(timestamp);
@@ -16,10 +101,142 @@ const MessageBubble = memo(
 
     const handleRetry = () => {
       if (onRetry && type === MESSAGE_TYPES.ERROR) {
-        onRetry(message);
+        onRetry(id);
+      }
+    };
+
+    // Countdown to the automatic retry, or a manual button once it stopped
+    const renderRetry = () => {
+      if (!onRetry || !retry?.prompt) return null;
+
+      if (retry.retryAt) {
+        return (
+          <div className="retry-status">
+            <span className="retry-countdown" role="status">
+              Retrying in {retrySecondsLeft}s (attempt {retry.attempt + 1} of{" "}
+              {CHAT_CONFIG.MAX_RETRIES})
+            </span>
+            <button
+              className="retry-button"
+              onClick={handleRetry}
+              type="button"
+            >
+              Retry now
+            </button>
+            {onCancelRetry && (
+              <button
+                className="retry-button"
+                onClick={() => onCancelRetry(id)}
+                type="button"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        );
+      }
+
+      return (
+        <div className="retry-status">
+          {retry.attempt > 0 && (
+            <span className="retry-countdown">
+              Failed after {retry.attempt}{" "}
+              {retry.attempt === 1 ? "retry" : "retries"}
+            </span>
+          )}
+          <button className="retry-button" onClick={handleRetry} type="button">
+            Try Again
+          </button>
+        </div>
+      );
+    };
+
+    // "‹ 2/3 ›" stepping through versions of this message
+    const renderSwitcher = ({ count, active, onSelect, label }) => (
+      <div className="version-switcher" role="group" aria-label={label}>
+        <button
+          type="button"
+          className="message-action"
+          onClick={() => onSelect(id, active - 1)}
+          disabled={active === 0}
+          aria-label="Previous version"
+        >
+          ‹
+        </button>
+        <span className="version-position">
+          {active + 1}/{count}
+        </span>
+        <button
+          type="button"
+          className="message-action"
+          onClick={() => onSelect(id, active + 1)}
+          disabled={active === count - 1}
+          aria-label="Next version"
+        >
+          ›
+        </button>
+      </div>
+    );
+
+    const startEditing = () => {
+      setDraft(content);
+      setIsEditing(true);
+    };
+
+    // Queued messages can be changed even while another reply streams
+    const isEditable = canEdit || pending;
+
+    const canSubmitEdit = () => {
+      const trimmed = draft.trim();
+      return isEditable && trimmed && trimmed !== content;
+    };
+
+    const handleEditSubmit = (e) => {
+      e.preventDefault();
+      if (!canSubmitEdit()) return;
+
+      setIsEditing(false);
+      onEdit(id, draft);
+    };
+
+    const handleEditKeyDown = (e) => {
+      if (e.key === "Escape") {
+        setIsEditing(false);
+      } else if (e.key === "Enter" && !e.shiftKey) {
+        handleEditSubmit(e);
       }
     };
 
+    const renderEditForm = () => (
+      <form className="message-edit" onSubmit={handleEditSubmit}>
+        <textarea
+          className="message-edit-input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleEditKeyDown}
+          maxLength={VALIDATION.MESSAGE.MAX_LENGTH}
+          rows={3}
+          autoFocus
+        />
+        <div className="message-edit-actions">
+          <button
+            type="button"
+            className="message-action"
+            onClick={() => setIsEditing(false)}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="message-action message-action--primary"
+            disabled={!canSubmitEdit()}
+          >
+            {pending ? "Save" : "Send"}
+          </button>
+        </div>
+      </form>
+    );
+
     const renderContent = () => {
       if (type === MESSAGE_TYPES.ERROR) {
         return (
@@ -27,15 +244,10 @@ const MessageBubble = memo(
             <div className="error-icon">⚠️</div>
             <div className="error-content">
               <p>{content}</p>
-              {onRetry && (
-                <button
-                  className="retry-button"
-                  onClick={handleRetry}
-                  type="button"
-                >
-                  Try Again
-                </button>
+              {retry?.prompt && (
+                <p className="retry-prompt">“{retry.prompt}”</p>
               )}
+              {renderRetry()}
             </div>
           </div>
         );
@@ -52,20 +264,50 @@ const MessageBubble = memo(
 
       return (
         <div className="message-content">
-          <p>{content}</p>
+          {type === MESSAGE_TYPES.ASSISTANT ? (
+            <MarkdownContent
+              content={displayContent}
+              isStreaming={isStreaming}
+              context={context}
+              messageId={id}
+              onCitationClick={handleCitationClick}
+            />
+          ) : isEditing ? (
+            renderEditForm()
+          ) : (
+            <p>{content}</p>
+          )}
           {isStreaming && (
             <div className="streaming-indicator">
               <span className="cursor">|</span>
             </div>
           )}
-          {metadata?.context && metadata.context.length > 0 && (
-            <div className="context-sources">
-              <details>
-                <summary>Sources ({metadata.context.length})</summary>
+          {metadata?.interrupted && (
+            <div className="message-interrupted">Response stopped</div>
+          )}
+          {context.length > 0 && (
+            <div className="context-sources" ref={sourcesRef}>
+              <details
+                open={sourcesOpen}
+                onToggle={(e) => setSourcesOpen(e.currentTarget.open)}
+              >
+                <summary>Sources ({context.length})</summary>
                 <div className="sources-list">
-                  {metadata.context.map((ctx, idx) => (
-                    <div key={idx} className="source-item">
+                  {context.map((ctx, idx) => (
+                    <button
+                      type="button"
+                      key={idx}
+                      className={`source-item ${
+                        highlightedSource === idx + 1
+                          ? "source-item--highlighted"
+                          : ""
+                      }`}
+                      data-source-index={idx + 1}
+                      onClick={() => onOpenSource && onOpenSource(id, idx)}
+                      disabled={!onOpenSource}
+                    >
                       <div className="source-similarity">
+                        <span className="source-number">[{idx + 1}]</span>{" "}
                         {Math.round(ctx.similarity * 100)}% match
                       </div>
                       <div className="source-metadata">
@@ -80,12 +322,83 @@ const MessageBubble = memo(
                           </span>
                         )}
                       </div>
-                    </div>
+                    </button>
                   ))}
                 </div>
               </details>
             </div>
           )}
+          {type === MESSAGE_TYPES.ASSISTANT && !isStreaming && (
+            <div className="message-actions">
+              {onSelectVariant &&
+                getVariantCount(message) > 1 &&
+                renderSwitcher({
+                  count: getVariantCount(message),
+                  active: getActiveVariant(message),
+                  onSelect: onSelectVariant,
+                  label: "Answer versions",
+                })}
+              {onRegenerate && (
+                <button
+                  type="button"
+                  className="message-action"
+                  onClick={() => onRegenerate(id)}
+                  disabled={!canRegenerate}
+                  title="Ask again for a new answer"
+                >
+                  ↻ Regenerate
+                </button>
+              )}
+              {onFeedback && content && (
+                <FeedbackControls
+                  messageId={getFeedbackKey(message)}
+                  onSubmit={(vote) => onFeedback(id, vote)}
+                />
+              )}
+            </div>
+          )}
+          {type === MESSAGE_TYPES.USER && !isEditing && (
+            <div className="message-actions">
+              {pending && (
+                <span className="message-pending" role="status">
+                  {isOffline
+                    ? "Sends when you're back online"
+                    : "Waiting to send"}
+                </span>
+              )}
+              {onSelectBranch &&
+                getBranchCount(message) > 1 &&
+                renderSwitcher({
+                  count: getBranchCount(message),
+                  active: getActiveBranch(message),
+                  onSelect: onSelectBranch,
+                  label: "Conversation branches",
+                })}
+              {onEdit && (
+                <button
+                  type="button"
+                  className="message-action"
+                  onClick={startEditing}
+                  disabled={!isEditable}
+                  title={
+                    pending ? "Edit before it is sent" : "Edit and ask again"
+                  }
+                >
+                  ✎ Edit
+                </button>
+              )}
+              {pending && onCancelQueued && (
+                <button
+                  type="button"
+                  className="message-action"
+                  onClick={() => onCancelQueued(id)}
+                  title="Don't send this message"
+                >
+                  ✕ Cancel
+                </button>
+              )}
+            </div>
+          )}
         </div>
       );
     };
@@ -104,6 +417,14 @@ const MessageBubble = memo(
         classes.push(`${baseClass}--streaming`);
       }
 
+      if (isFocused) {
+        classes.push(`${baseClass}--focused`);
+      }
+
+      if (pending) {
+        classes.push(`${baseClass}--pending`);
+      }
+
       if (type === MESSAGE_TYPES.ERROR) {
         classes.push(`${baseClass}--error`);
       }
@@ -146,7 +467,7 @@ const MessageBubble = memo(
     };
 
     return (
-      <div className={getMessageClasses()}>
+      <div className={getMessageClasses()} data-message-id={id}>
         <div className="message-avatar">
           <span
             className="avatar-icon"
@@ -1,22 +1,61 @@
-import React, { useEffect, useRef, useCallback, memo } from "react";
+import React, { useState, useEffect, useRef, useCallback, memo } from "react";
 import MessageBubble from "./MessageBubble";
-import LoadingSpinner from "../UI/LoadingSpinner";
-import { DEFAULT_MESSAGES, UI_CONFIG } from "../../utils/constants";
+import SourceDrawer from "./SourceDrawer";
+import feedbackService from "../../services/feedback";
+import { getContextDetails } from "../../utils/citations";
+import { getFeedbackKey } from "../../utils/messageVariants";
+import {
+  DEFAULT_MESSAGES,
+  MESSAGE_TYPES,
+  UI_CONFIG,
+} from "../../utils/constants";
 import "./MessageList.scss";
 
+// Shape of the placeholder conversation shown while history loads
+const SKELETON_ROWS = [
+  { type: MESSAGE_TYPES.USER, lines: ["60%"] },
+  { type: MESSAGE_TYPES.ASSISTANT, lines: ["90%", "80%", "45%"] },
+  { type: MESSAGE_TYPES.USER, lines: ["40%"] },
+  { type: MESSAGE_TYPES.ASSISTANT, lines: ["85%", "60%"] },
+];
+
+// The user question an answer at `index` responds to
+const findQuestion = (messages, index) =>
+  messages
+    .slice(0, index)
+    .reverse()
+    .find((message) => message.type === MESSAGE_TYPES.USER);
+
 const MessageList = memo(
   ({
     messages = [],
     isLoading = false,
     isTyping = false,
     onRetryMessage = null,
+    onCancelRetry = null,
+    onRegenerateMessage = null,
+    onSelectVariant = null,
+    isGenerating = false,
+    onEditMessage = null,
+    onSelectBranch = null,
+    onCancelQueued = null,
+    isOffline = false,
     autoScroll = true,
     showTimestamps = false,
     emptyMessage = DEFAULT_MESSAGES.NO_MESSAGES,
+    focusedMessageId = null,
+    sessionId = null,
   }) => {
     const messagesEndRef = useRef(null);
     const containerRef = useRef(null);
     const lastMessageRef = useRef(null);
+    const scrolledToFocusRef = useRef(null);
+    const [openSource, setOpenSource] = useState(null);
+    const messagesRef = useRef(messages);
+
+    useEffect(() => {
+      messagesRef.current = messages;
+    }, [messages]);
 
     // Scroll to bottom function
     const scrollToBottom = useCallback(
@@ -46,6 +85,27 @@ const MessageList = memo(
       }
     }, [messages.length, scrollToBottom]);
 
+    // Bring a focused message (e.g. a search result) into view, after the
+    // scroll-to-bottom above has run
+    useEffect(() => {
+      if (!focusedMessageId || scrolledToFocusRef.current === focusedMessageId)
+        return;
+
+      const timeoutId = setTimeout(() => {
+        const element = containerRef.current?.querySelector(
+          `[data-message-id="${CSS.escape(focusedMessageId)}"]`
+        );
+
+        // The conversation may still be loading; retry on the next update
+        if (element) {
+          element.scrollIntoView({ behavior: "smooth", block: "center" });
+          scrolledToFocusRef.current = focusedMessageId;
+        }
+      }, 150);
+
+      return () => clearTimeout(timeoutId);
+    }, [focusedMessageId, messages]);
+
     // Scroll when typing indicator appears
     useEffect(() => {
       if (isTyping) {
@@ -69,14 +129,79 @@ const MessageList = memo(
 
     // Retry message handler
     const handleRetryMessage = useCallback(
-      (message) => {
+      (messageId) => {
         if (onRetryMessage) {
-          onRetryMessage(message);
+          onRetryMessage(messageId);
         }
       },
       [onRetryMessage]
     );
 
+    const handleOpenSource = useCallback((messageId, index) => {
+      setOpenSource({ messageId, index });
+    }, []);
+
+    const handleNavigateSource = useCallback((index) => {
+      setOpenSource((current) => current && { ...current, index });
+    }, []);
+
+    const handleCloseSource = useCallback(() => setOpenSource(null), []);
+
+    // Close the drawer when its answer leaves the list (e.g. session switch)
+    useEffect(() => {
+      if (
+        openSource &&
+        !messages.some((message) => message.id === openSource.messageId)
+      ) {
+        setOpenSource(null);
+      }
+    }, [messages, openSource]);
+
+    // Send a vote with what retrieval needs to learn from it: the question,
+    // the answer and the sources it was grounded on
+    const handleFeedback = useCallback(
+      (messageId, vote) => {
+        const current = messagesRef.current;
+        const index = current.findIndex((message) => message.id === messageId);
+        const message = current[index];
+
+        return feedbackService.submit({
+          ...vote,
+          messageId: message ? getFeedbackKey(message) : messageId,
+          sessionId,
+          question: findQuestion(current, index)?.content || "",
+          answer: message?.content || "",
+          sources: (message?.metadata?.context || []).map((ctx) => {
+            const { title, outlet, url, similarity } = getContextDetails(ctx);
+            return { title, source: outlet, url, similarity };
+          }),
+        });
+      },
+      [sessionId]
+    );
+
+    // Sources of the open answer, and the question that retrieved them
+    const renderSourceDrawer = () => {
+      if (!openSource) return null;
+
+      const messageIndex = messages.findIndex(
+        (message) => message.id === openSource.messageId
+      );
+      if (messageIndex === -1) return null;
+
+      const question = findQuestion(messages, messageIndex);
+
+      return (
+        <SourceDrawer
+          sources={messages[messageIndex].metadata?.context || []}
+          index={openSource.index}
+          query={question?.content}
+          onNavigate={handleNavigateSource}
+          onClose={handleCloseSource}
+        />
+      );
+    };
+
     // Render typing indicator
     const renderTypingIndicator = () => {
       if (!isTyping) return null;
@@ -117,10 +242,30 @@ const MessageList = memo(
       </div>
     );
 
-    // Render loading state
+    // Render loading state: placeholder bubbles while history loads
     const renderLoadingState = () => (
-      <div className="messages-loading">
-        <LoadingSpinner size="large" message="Loading conversation..." />
+      <div
+        className="messages-loading"
+        role="status"
+        aria-label="Loading conversation"
+      >
+        {SKELETON_ROWS.map((row, index) => (
+          <div
+            key={index}
+            className={`message-skeleton message-skeleton--${row.type}`}
+          >
+            <div className="message-skeleton-avatar" />
+            <div className="message-skeleton-body">
+              {row.lines.map((width, lineIndex) => (
+                <div
+                  key={lineIndex}
+                  className="message-skeleton-line"
+                  style={{ width }}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
       </div>
     );
 
@@ -191,8 +336,20 @@ const MessageList = memo(
                   key={message.id || `msg-${index}`}
                   message={message}
                   isLast={index === dayMessages.length - 1}
+                  isFocused={message.id === focusedMessageId}
                   showTimestamp={showTimestamps}
                   onRetry={handleRetryMessage}
+                  onCancelRetry={onCancelRetry}
+                  onOpenSource={handleOpenSource}
+                  onFeedback={handleFeedback}
+                  onRegenerate={onRegenerateMessage}
+                  onSelectVariant={onSelectVariant}
+                  canRegenerate={!isGenerating}
+                  onEdit={onEditMessage}
+                  onSelectBranch={onSelectBranch}
+                  canEdit={!isGenerating}
+                  onCancelQueued={onCancelQueued}
+                  isOffline={isOffline}
                   ref={index === dayMessages.length - 1 ? lastMessageRef : null}
                 />
               ))}
@@ -200,6 +357,7 @@ const MessageList = memo(
           ))}
 
           {renderTypingIndicator()}
+          {renderSourceDrawer()}
 
           {/* Scroll anchor */}
           <div ref={messagesEndRef} className="messages-end" />
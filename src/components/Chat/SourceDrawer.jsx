@@ -0,0 +1,184 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { createPortal } from "react-dom";
+import { getContextDetails, getQueryTerms } from "../../utils/citations";
+import { highlightTerms } from "../../utils/search";
+import "./SourceDrawer.scss";
+
+const PREVIOUS_KEYS = ["ArrowLeft", "ArrowUp"];
+const NEXT_KEYS = ["ArrowRight", "ArrowDown"];
+
+const formatPublishedDate = (date) =>
+  date.toLocaleDateString([], {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+// Side drawer with the full passage retrieved for one source of an answer.
+// Words from the question are highlighted; arrow keys step through the
+// answer's other sources and Escape closes it.
+const SourceDrawer = ({
+  sources = [],
+  index,
+  query = "",
+  onNavigate,
+  onClose,
+}) => {
+  const drawerRef = useRef(null);
+  const source = sources[index];
+  const details = useMemo(() => getContextDetails(source), [source]);
+  const terms = useMemo(() => getQueryTerms(query), [query]);
+  const segments = useMemo(
+    () => highlightTerms(details.text, terms),
+    [details.text, terms]
+  );
+
+  const hasPrevious = index > 0;
+  const hasNext = index < sources.length - 1;
+
+  // Move focus into the drawer and give it back when it closes
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    drawerRef.current?.focus();
+
+    return () => previousFocus?.focus?.();
+  }, []);
+
+  // Each source starts at the top of its passage
+  useEffect(() => {
+    drawerRef.current
+      ?.querySelector(".source-drawer-body")
+      ?.scrollTo?.({ top: 0 });
+  }, [index]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Leave arrow keys alone while the user is typing somewhere
+      if (e.target.closest?.("input, textarea, select")) return;
+
+      if (e.key === "Escape") {
+        onClose();
+      } else if (PREVIOUS_KEYS.includes(e.key) && hasPrevious) {
+        e.preventDefault();
+        onNavigate(index - 1);
+      } else if (NEXT_KEYS.includes(e.key) && hasNext) {
+        e.preventDefault();
+        onNavigate(index + 1);
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [index, hasPrevious, hasNext, onNavigate, onClose]);
+
+  if (!source) return null;
+
+  return createPortal(
+    <div className="source-drawer-overlay" onClick={onClose}>
+      <aside
+        ref={drawerRef}
+        className="source-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="source-drawer-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <header className="source-drawer-header">
+          <span className="source-drawer-position">
+            Source {index + 1} of {sources.length}
+          </span>
+          <div className="source-drawer-nav">
+            <button
+              type="button"
+              className="source-drawer-button"
+              onClick={() => onNavigate(index - 1)}
+              disabled={!hasPrevious}
+              aria-label="Previous source"
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              className="source-drawer-button"
+              onClick={() => onNavigate(index + 1)}
+              disabled={!hasNext}
+              aria-label="Next source"
+            >
+              ›
+            </button>
+            <button
+              type="button"
+              className="source-drawer-button"
+              onClick={onClose}
+              aria-label="Close source"
+            >
+              ✕
+            </button>
+          </div>
+        </header>
+
+        <div className="source-drawer-body">
+          <h3 id="source-drawer-title" className="source-drawer-title">
+            {details.title}
+          </h3>
+
+          <div className="source-drawer-meta">
+            {details.outlet && (
+              <span className="source-drawer-outlet">{details.outlet}</span>
+            )}
+            {details.publishedDate && (
+              <time dateTime={details.publishedDate.toISOString()}>
+                {formatPublishedDate(details.publishedDate)}
+              </time>
+            )}
+            {details.similarity !== null && (
+              <span>{Math.round(details.similarity * 100)}% match</span>
+            )}
+          </div>
+
+          {details.text ? (
+            <p className="source-drawer-passage">
+              {segments.map((segment, segmentIndex) =>
+                segment.highlight ? (
+                  <mark key={segmentIndex}>{segment.text}</mark>
+                ) : (
+                  <React.Fragment key={segmentIndex}>
+                    {segment.text}
+                  </React.Fragment>
+                )
+              )}
+            </p>
+          ) : (
+            <p className="source-drawer-empty">
+              The passage text was not returned for this source.
+            </p>
+          )}
+        </div>
+
+        <footer className="source-drawer-footer">
+          {details.url ? (
+            <a
+              className="btn btn--primary btn--sm"
+              href={details.url}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              Read original article ↗
+            </a>
+          ) : (
+            <span className="source-drawer-empty">No link to the article</span>
+          )}
+          {sources.length > 1 && (
+            <span className="source-drawer-hint">
+              Use ← → to switch sources
+            </span>
+          )}
+        </footer>
+      </aside>
+    </div>,
+    document.body
+  );
+};
+
+export default SourceDrawer;
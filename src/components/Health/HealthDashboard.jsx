@@ -0,0 +1,146 @@
+import React from "react";
+import Sparkline from "../UI/Sparkline";
+import { API_SERIES } from "../../hooks/useHealth";
+import { STATUS_LABELS, formatDuration } from "../../utils/health";
+import { HEALTH_CONFIG } from "../../utils/constants";
+import { formatLatency } from "../../utils/format";
+import "./HealthDashboard.scss";
+
+const HealthDashboard = ({
+  health,
+  history = {},
+  sessionStats,
+  isChecking = false,
+  onRefresh,
+}) => {
+  const apiHistory = history[API_SERIES] || [];
+  const latestRoundTrip = apiHistory[apiHistory.length - 1]?.latency;
+  const availability = sessionStats.checks
+    ? Math.round((sessionStats.reachableChecks / sessionStats.checks) * 1000) /
+      10
+    : null;
+
+  const renderSeries = (samples, label) => (
+    <Sparkline
+      values={samples.map((sample) => sample.latency)}
+      label={`${label} latency history`}
+    />
+  );
+
+  return (
+    <div className="page health-dashboard">
+      <div className="page-header">
+        <h2>Service health</h2>
+        <p className="page-subtitle">
+          Checked every {HEALTH_CONFIG.POLL_INTERVAL / 1000}s while this tab is
+          open
+        </p>
+      </div>
+
+      <section
+        className={`page-section health-overview health-overview--${health.status}`}
+      >
+        <div className="health-overview-status">
+          <span className="health-dot" aria-hidden="true" />
+          <strong>{STATUS_LABELS[health.status]}</strong>
+        </div>
+        <div className="health-overview-meta">
+          {sessionStats.lastChecked && (
+            <span>
+              Last checked{" "}
+              {new Date(sessionStats.lastChecked).toLocaleTimeString()}
+            </span>
+          )}
+          {health.version && <span>Backend v{health.version}</span>}
+          {health.uptime && (
+            <span>Server up {formatDuration(health.uptime * 1000)}</span>
+          )}
+          <button
+            type="button"
+            className="btn btn--secondary btn--sm"
+            onClick={onRefresh}
+            disabled={isChecking}
+          >
+            {isChecking ? "Checking..." : "Check now"}
+          </button>
+        </div>
+        {sessionStats.lastError && (
+          <p className="health-error">{sessionStats.lastError}</p>
+        )}
+      </section>
+
+      <section className="page-section">
+        <h3>This session</h3>
+        <dl className="health-stats">
+          <dt>Availability</dt>
+          <dd>
+            {availability === null
+              ? "—"
+              : `${availability}% of ${sessionStats.checks} checks`}
+          </dd>
+          <dt>Monitoring for</dt>
+          <dd>{formatDuration(Date.now() - sessionStats.startedAt)}</dd>
+          <dt>API round trip</dt>
+          <dd className="health-latency">
+            {formatLatency(latestRoundTrip)}
+            {renderSeries(apiHistory, "API")}
+          </dd>
+        </dl>
+        <div className="health-timeline" aria-label="Recent check results">
+          {apiHistory.map((sample) => (
+            <span
+              key={sample.timestamp}
+              className={`health-timeline-tick health-timeline-tick--${sample.status}`}
+              title={`${new Date(sample.timestamp).toLocaleTimeString()}: ${
+                STATUS_LABELS[sample.status]
+              }`}
+            />
+          ))}
+        </div>
+      </section>
+
+      <section className="page-section">
+        <h3>Dependencies</h3>
+        {health.dependencies.length === 0 ? (
+          <p className="page-empty">
+            The backend did not report any dependencies.
+          </p>
+        ) : (
+          <table className="health-dependencies">
+            <thead>
+              <tr>
+                <th>Service</th>
+                <th>Status</th>
+                <th>Latency</th>
+                <th>History</th>
+              </tr>
+            </thead>
+            <tbody>
+              {health.dependencies.map((dep) => (
+                <tr key={dep.name}>
+                  <td>
+                    {dep.name}
+                    {dep.message && (
+                      <small className="health-dependency-message">
+                        {dep.message}
+                      </small>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`health-pill health-pill--${dep.status}`}>
+                      {dep.status}
+                    </span>
+                  </td>
+                  <td>{formatLatency(dep.latency)}</td>
+                  <td>{renderSeries(history[dep.name] || [], dep.name)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default HealthDashboard;
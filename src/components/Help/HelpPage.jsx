@@ -0,0 +1,61 @@
+import React from "react";
+import Link from "../UI/Link";
+import { APP_CONFIG, ROUTES } from "../../utils/constants";
+import "./HelpPage.scss";
+
+const HelpPage = () => {
+  return (
+    <div className="page help-page">
+      <div className="page-header">
+        <h2>Help</h2>
+        <p className="page-subtitle">
+          {APP_CONFIG.NAME} answers questions using recent news articles.
+        </p>
+      </div>
+
+      <section className="page-section">
+        <h3>Asking questions</h3>
+        <p>
+          Type a question and press Enter. Answers stream in as they are
+          generated; use the stop button to end a response early. Each answer
+          lists the articles it was based on under <em>Sources</em>.
+        </p>
+      </section>
+
+      <section className="page-section">
+        <h3>Conversations</h3>
+        <p>
+          Every conversation is kept in the sidebar. Open one to continue it,
+          or browse them all on the <Link to={ROUTES.HISTORY}>History</Link>{" "}
+          page. A conversation's address (<code>/chat/…</code>) can be
+          bookmarked or shared.
+        </p>
+        <p>
+          <Link to={ROUTES.SEARCH}>Search chats</Link> finds messages across
+          all conversations, and the <Link to={ROUTES.LIBRARY}>Library</Link>{" "}
+          lists every article that has been cited.
+        </p>
+      </section>
+
+      <section className="page-section">
+        <h3>Keyboard shortcuts</h3>
+        <dl className="help-shortcuts">
+          <dt>
+            <kbd>Enter</kbd>
+          </dt>
+          <dd>Send message</dd>
+          <dt>
+            <kbd>Shift</kbd> + <kbd>Enter</kbd>
+          </dt>
+          <dd>New line</dd>
+          <dt>
+            <kbd>Esc</kbd>
+          </dt>
+          <dd>Close search</dd>
+        </dl>
+      </section>
+    </div>
+  );
+};
+
+export default HelpPage;
@@ -0,0 +1,69 @@
+import React, { useMemo } from "react";
+import Link from "../UI/Link";
+import { buildChatPath } from "../../utils/router";
+import { sortByLastActivity } from "../../utils/sessions";
+import "./HistoryPage.scss";
+
+const HistoryPage = ({
+  sessions = [],
+  currentSessionId = null,
+  onRemoveSession = null,
+}) => {
+  const sortedSessions = useMemo(
+    () => sortByLastActivity(sessions),
+    [sessions]
+  );
+
+  const formatDate = (timestamp) =>
+    new Date(timestamp).toLocaleString([], {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+
+  return (
+    <div className="page history-page">
+      <div className="page-header">
+        <h2>History</h2>
+        <p className="page-subtitle">
+          {sessions.length} conversation{sessions.length === 1 ? "" : "s"}
+        </p>
+      </div>
+
+      {sortedSessions.length === 0 ? (
+        <p className="page-empty">No conversations yet.</p>
+      ) : (
+        <ul className="history-list">
+          {sortedSessions.map((session) => (
+            <li
+              key={session.id}
+              className={`history-item ${
+                session.id === currentSessionId ? "history-item--active" : ""
+              }`}
+            >
+              <Link className="history-link" to={buildChatPath(session.id)}>
+                <span className="history-title">{session.title}</span>
+                <span className="history-meta">
+                  Started {formatDate(session.createdAt)} · Last active{" "}
+                  {formatDate(session.lastActivity)} · {session.messageCount}{" "}
+                  message{session.messageCount === 1 ? "" : "s"}
+                </span>
+              </Link>
+
+              {onRemoveSession && session.id !== currentSessionId && (
+                <button
+                  type="button"
+                  className="btn btn--secondary btn--sm"
+                  onClick={() => onRemoveSession(session.id)}
+                >
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPage;
@@ -0,0 +1,166 @@
+import React, { useState, useMemo } from "react";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import { useAllConversations } from "../../hooks/useAllConversations";
+import {
+  buildLibrary,
+  getLibrarySources,
+  sortLibrary,
+  LIBRARY_SORTS,
+} from "../../utils/library";
+import "./LibraryView.scss";
+
+const ALL_SOURCES = "all";
+
+const LibraryView = ({ sessions = [], onSelectCitation }) => {
+  const { conversations, isLoading } = useAllConversations(sessions);
+  const [sourceFilter, setSourceFilter] = useState(ALL_SOURCES);
+  const [sortBy, setSortBy] = useState(LIBRARY_SORTS.MOST_CITED);
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  const library = useMemo(
+    () => buildLibrary(conversations || {}),
+    [conversations]
+  );
+  const sources = useMemo(() => getLibrarySources(library), [library]);
+
+  const visibleArticles = useMemo(() => {
+    const filtered =
+      sourceFilter === ALL_SOURCES
+        ? library
+        : library.filter((article) => article.source === sourceFilter);
+
+    return sortLibrary(filtered, sortBy);
+  }, [library, sourceFilter, sortBy]);
+
+  const sessionTitles = useMemo(
+    () =>
+      sessions.reduce((titles, session) => {
+        titles[session.id] = session.title;
+        return titles;
+      }, {}),
+    [sessions]
+  );
+
+  const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+  const renderArticle = (article) => {
+    const isExpanded = expandedKey === article.key;
+
+    return (
+      <li key={article.key} className="library-article">
+        <div className="library-article-main">
+          <div className="library-article-info">
+            <span className="library-article-source">{article.source}</span>
+            {article.url ? (
+              <a
+                className="library-article-title"
+                href={article.url}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                {article.title}
+              </a>
+            ) : (
+              <span className="library-article-title">{article.title}</span>
+            )}
+          </div>
+
+          <div className="library-article-stats">
+            <span title="Times cited">
+              {article.citationCount}× cited
+              {article.sessionCount > 1 && ` in ${article.sessionCount} chats`}
+            </span>
+            <span title="Best / average match">
+              {formatPercent(article.maxSimilarity)} best ·{" "}
+              {formatPercent(article.averageSimilarity)} avg
+            </span>
+          </div>
+
+          <button
+            type="button"
+            className="library-article-toggle"
+            onClick={() => setExpandedKey(isExpanded ? null : article.key)}
+            aria-expanded={isExpanded}
+          >
+            {isExpanded ? "Hide" : "Where"}
+          </button>
+        </div>
+
+        {isExpanded && (
+          <ul className="library-citations">
+            {article.citations.map((citation) => (
+              <li key={`${citation.sessionId}-${citation.messageId}`}>
+                <button
+                  type="button"
+                  className="library-citation"
+                  onClick={() =>
+                    onSelectCitation(citation.sessionId, citation.messageId)
+                  }
+                >
+                  <span className="library-citation-title">
+                    {sessionTitles[citation.sessionId] || "Conversation"}
+                  </span>
+                  <span className="library-citation-meta">
+                    {formatPercent(citation.similarity)} match ·{" "}
+                    {new Date(citation.timestamp).toLocaleDateString()}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="library-view">
+      <div className="library-view-header">
+        <h2>Library</h2>
+        <p className="library-view-summary">
+          {library.length} article{library.length === 1 ? "" : "s"} from{" "}
+          {sources.length} outlet{sources.length === 1 ? "" : "s"}
+        </p>
+      </div>
+
+      <div className="library-view-filters">
+        <select
+          value={sourceFilter}
+          onChange={(e) => setSourceFilter(e.target.value)}
+          aria-label="Filter by outlet"
+        >
+          <option value={ALL_SOURCES}>All outlets</option>
+          {sources.map(({ source, count }) => (
+            <option key={source} value={source}>
+              {source} ({count})
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          aria-label="Sort articles"
+        >
+          <option value={LIBRARY_SORTS.MOST_CITED}>Most cited</option>
+          <option value={LIBRARY_SORTS.BEST_MATCH}>Best match</option>
+          <option value={LIBRARY_SORTS.RECENT}>Recently cited</option>
+        </select>
+      </div>
+
+      {isLoading && (
+        <LoadingSpinner size="small" message="Collecting sources..." />
+      )}
+
+      {!isLoading && visibleArticles.length === 0 && (
+        <p className="library-view-empty">
+          No cited articles yet. Sources appear here once answers cite them.
+        </p>
+      )}
+
+      <ul className="library-articles">{visibleArticles.map(renderArticle)}</ul>
+    </div>
+  );
+};
+
+export default LibraryView;
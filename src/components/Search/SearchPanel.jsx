@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import { useAllConversations } from "../../hooks/useAllConversations";
+import { searchConversations } from "../../utils/search";
+import { MESSAGE_TYPES, UI_CONFIG } from "../../utils/constants";
+import "./SearchPanel.scss";
+
+const SearchPanel = ({ sessions = [], onSelectResult, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
+  const { conversations, isLoading: isIndexing } =
+    useAllConversations(sessions);
+  const inputRef = useRef(null);
+
+  // Debounce typing before searching
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setDebouncedQuery(query);
+    }, UI_CONFIG.DEBOUNCE_DELAY);
+
+    return () => clearTimeout(timeoutId);
+  }, [query]);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const results = useMemo(
+    () => searchConversations(conversations || {}, debouncedQuery),
+    [conversations, debouncedQuery]
+  );
+
+  const sessionTitles = useMemo(
+    () =>
+      sessions.reduce((titles, session) => {
+        titles[session.id] = session.title;
+        return titles;
+      }, {}),
+    [sessions]
+  );
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape" && onClose) {
+      onClose();
+    }
+  };
+
+  const renderResults = () => {
+    if (!debouncedQuery.trim()) {
+      return (
+        <p className="search-hint">
+          Search across {sessions.length} conversation
+          {sessions.length === 1 ? "" : "s"}
+        </p>
+      );
+    }
+
+    if (results.length === 0) {
+      return isIndexing ? null : (
+        <p className="search-hint">No messages match "{debouncedQuery}"</p>
+      );
+    }
+
+    return (
+      <ul className="search-results">
+        {results.map((result) => (
+          <li key={`${result.sessionId}-${result.messageId}`}>
+            <button
+              type="button"
+              className="search-result"
+              onClick={() => onSelectResult(result.sessionId, result.messageId)}
+            >
+              <div className="search-result-header">
+                <span className="search-result-title">
+                  {sessionTitles[result.sessionId] || "Conversation"}
+                </span>
+                <span className="search-result-meta">
+                  {result.type === MESSAGE_TYPES.USER ? "You" : "AI Assistant"}
+                  {" · "}
+                  {new Date(result.timestamp).toLocaleDateString()}
+                </span>
+              </div>
+              <p className="search-result-snippet">
+                {result.snippet.map((segment, index) =>
+                  segment.highlight ? (
+                    <mark key={index}>{segment.text}</mark>
+                  ) : (
+                    <span key={index}>{segment.text}</span>
+                  )
+                )}
+              </p>
+            </button>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="search-panel">
+      <div className="search-panel-header">
+        <input
+          ref={inputRef}
+          type="search"
+          className="search-input"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search chats..."
+          aria-label="Search chats"
+        />
+        {onClose && (
+          <button
+            type="button"
+            className="search-close"
+            onClick={onClose}
+            aria-label="Close search"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {isIndexing && (
+        <LoadingSpinner size="small" message="Indexing conversations..." />
+      )}
+
+      <div className="search-panel-body">{renderResults()}</div>
+    </div>
+  );
+};
+
+export default SearchPanel;
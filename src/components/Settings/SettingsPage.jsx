@@ -0,0 +1,135 @@
+import React from "react";
+import { usePreferences } from "../../context/PreferencesContext";
+import {
+  APP_CONFIG,
+  API_CONFIG,
+  FEATURES,
+  SEND_SHORTCUTS,
+  TRANSPORT_PREFERENCES,
+  THEME_MODES,
+} from "../../utils/constants";
+import "./SettingsPage.scss";
+
+const TRANSPORT_LABELS = {
+  [TRANSPORT_PREFERENCES.AUTO]: "Automatic (best available)",
+  [TRANSPORT_PREFERENCES.WEBSOCKET]: "Prefer WebSocket",
+  [TRANSPORT_PREFERENCES.SSE]: "Prefer Server-Sent Events",
+  [TRANSPORT_PREFERENCES.HTTP]: "Prefer HTTP",
+};
+
+const THEME_LABELS = {
+  [THEME_MODES.DARK]: "Dark",
+  [THEME_MODES.LIGHT]: "Light",
+  [THEME_MODES.SYSTEM]: "Follow system",
+};
+
+const SettingsPage = ({ currentSessionId = null }) => {
+  const { preferences, setPreference, resetPreferences } = usePreferences();
+
+  const renderToggle = (key, label, description) => (
+    <label className="settings-row">
+      <span className="settings-label">
+        {label}
+        <small>{description}</small>
+      </span>
+      <input
+        type="checkbox"
+        checked={preferences[key]}
+        onChange={(e) => setPreference(key, e.target.checked)}
+      />
+    </label>
+  );
+
+  const renderSelect = (key, label, options) => (
+    <label className="settings-row">
+      <span className="settings-label">{label}</span>
+      <select
+        value={preferences[key]}
+        onChange={(e) => setPreference(key, e.target.value)}
+      >
+        {Object.entries(options).map(([value, optionLabel]) => (
+          <option key={value} value={value}>
+            {optionLabel}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="page settings-page">
+      <div className="page-header">
+        <h2>Settings</h2>
+      </div>
+
+      <section className="page-section">
+        <h3>Conversation</h3>
+        {renderToggle(
+          "showTimestamps",
+          "Show timestamps",
+          "Display the time and date next to messages"
+        )}
+        {renderToggle(
+          "autoScroll",
+          "Auto-scroll",
+          "Jump to the newest message as answers arrive"
+        )}
+        {renderSelect("sendShortcut", "Send with", {
+          [SEND_SHORTCUTS.ENTER]: "Enter (Shift+Enter for new line)",
+          [SEND_SHORTCUTS.CTRL_ENTER]: "Ctrl+Enter (Enter for new line)",
+        })}
+      </section>
+
+      <section className="page-section">
+        <h3>Connection</h3>
+        {renderSelect(
+          "preferredTransport",
+          "Preferred transport",
+          TRANSPORT_LABELS
+        )}
+        <p className="settings-note">
+          Other transports are still used as fallbacks if the preferred one is
+          unavailable.
+        </p>
+      </section>
+
+      {FEATURES.DARK_MODE && (
+        <section className="page-section">
+          <h3>Appearance</h3>
+          {renderSelect("theme", "Theme", THEME_LABELS)}
+          {renderToggle(
+            "highContrast",
+            "High contrast",
+            "Stronger text and border contrast in either theme"
+          )}
+        </section>
+      )}
+
+      <section className="page-section">
+        <h3>About</h3>
+        <dl className="settings-info">
+          <dt>Application</dt>
+          <dd>
+            {APP_CONFIG.NAME} v{APP_CONFIG.VERSION}
+          </dd>
+          <dt>Backend</dt>
+          <dd>{API_CONFIG.BASE_URL}</dd>
+          <dt>Current session</dt>
+          <dd>{currentSessionId || "None"}</dd>
+        </dl>
+      </section>
+
+      <div>
+        <button
+          type="button"
+          className="btn btn--secondary btn--sm"
+          onClick={resetPreferences}
+        >
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
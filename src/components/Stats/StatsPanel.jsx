@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useMemo, useCallback } from "react";
+import BarChart from "../UI/BarChart";
+import Sparkline from "../UI/Sparkline";
+import LoadingSpinner from "../UI/LoadingSpinner";
+import { useAllConversations } from "../../hooks/useAllConversations";
+import { computeOverallStats, histogram } from "../../utils/chatStats";
+import { flattenStats, formatLatency, formatPercent } from "../../utils/format";
+import "./StatsPanel.scss";
+
+const SCOPES = {
+  CURRENT: "current",
+  ALL: "all",
+};
+
+const MAX_SOURCE_BUCKET = 5;
+
+const StatsPanel = ({
+  sessions = [],
+  chatStats,
+  serverStats = null,
+  onRefreshServerStats,
+}) => {
+  const [scope, setScope] = useState(SCOPES.CURRENT);
+  const [isLoadingServer, setIsLoadingServer] = useState(false);
+
+  // Every conversation is only needed for the "all" scope
+  const { conversations, isLoading: isLoadingAll } = useAllConversations(
+    sessions,
+    { enabled: scope === SCOPES.ALL }
+  );
+
+  const refreshServerStats = useCallback(async () => {
+    setIsLoadingServer(true);
+    await onRefreshServerStats();
+    setIsLoadingServer(false);
+  }, [onRefreshServerStats]);
+
+  // Fetch server-wide stats when the panel opens
+  useEffect(() => {
+    refreshServerStats();
+  }, [refreshServerStats]);
+
+  const stats = useMemo(
+    () =>
+      scope === SCOPES.ALL && conversations
+        ? computeOverallStats(conversations)
+        : chatStats,
+    [scope, conversations, chatStats]
+  );
+
+  const serverRows = flattenStats(serverStats);
+
+  const messageChartData = [
+    { label: "Asked", value: stats.userMessages },
+    { label: "Answers", value: stats.assistantMessages },
+    { label: "Errors", value: stats.errorMessages },
+  ];
+
+  const sourceBuckets = histogram(stats.sourcesPerAnswer, MAX_SOURCE_BUCKET);
+  const sourceChartData = Array.from(
+    { length: MAX_SOURCE_BUCKET + 1 },
+    (_, count) => ({
+      label: count === MAX_SOURCE_BUCKET ? `${count}+` : String(count),
+      value: sourceBuckets[count] || 0,
+    })
+  );
+
+  const summaryCards = [
+    { label: "Questions asked", value: stats.userMessages },
+    { label: "Average response", value: formatLatency(stats.averageLatencyMs) },
+    { label: "Median response", value: formatLatency(stats.medianLatencyMs) },
+    {
+      label: "Sources per answer",
+      value:
+        stats.averageSources === null ? "—" : stats.averageSources.toFixed(1),
+    },
+    { label: "Error rate", value: formatPercent(stats.errorRate) },
+    { label: "Stopped early", value: stats.interruptedAnswers },
+  ];
+
+  return (
+    <div className="page stats-panel">
+      <div className="page-header">
+        <h2>Statistics</h2>
+        <p className="page-subtitle">How the assistant is performing</p>
+      </div>
+
+      <section className="page-section">
+        <div className="stats-section-header">
+          <h3>Server</h3>
+          <button
+            type="button"
+            className="btn btn--secondary btn--sm"
+            onClick={refreshServerStats}
+            disabled={isLoadingServer}
+          >
+            Refresh
+          </button>
+        </div>
+        {isLoadingServer && !serverStats ? (
+          <LoadingSpinner size="small" message="Loading server stats..." />
+        ) : serverRows.length === 0 ? (
+          <p className="page-empty">Server stats are unavailable.</p>
+        ) : (
+          <div className="stats-cards">
+            {serverRows.map((row) => (
+              <div key={row.label} className="stats-card">
+                <span className="stats-card-value">{row.value}</span>
+                <span className="stats-card-label">{row.label}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="page-section">
+        <div className="stats-section-header">
+          <h3>Conversations</h3>
+          <div className="stats-scope" role="group" aria-label="Scope">
+            <button
+              type="button"
+              className={`stats-scope-option ${
+                scope === SCOPES.CURRENT ? "stats-scope-option--active" : ""
+              }`}
+              onClick={() => setScope(SCOPES.CURRENT)}
+            >
+              This conversation
+            </button>
+            <button
+              type="button"
+              className={`stats-scope-option ${
+                scope === SCOPES.ALL ? "stats-scope-option--active" : ""
+              }`}
+              onClick={() => setScope(SCOPES.ALL)}
+            >
+              All ({sessions.length})
+            </button>
+          </div>
+        </div>
+
+        {scope === SCOPES.ALL && isLoadingAll && !conversations ? (
+          <LoadingSpinner size="small" message="Loading conversations..." />
+        ) : (
+          <>
+            <div className="stats-cards">
+              {summaryCards.map((card) => (
+                <div key={card.label} className="stats-card">
+                  <span className="stats-card-value">{card.value}</span>
+                  <span className="stats-card-label">{card.label}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="stats-charts">
+              <figure className="stats-chart">
+                <BarChart data={messageChartData} />
+                <figcaption>Messages</figcaption>
+              </figure>
+              <figure className="stats-chart">
+                <BarChart data={sourceChartData} barWidth={20} gap={8} />
+                <figcaption>Answers by number of sources</figcaption>
+              </figure>
+              <figure className="stats-chart">
+                <Sparkline
+                  values={stats.latencies}
+                  width={200}
+                  height={80}
+                  label="Response time per answer"
+                />
+                <figcaption>
+                  Response time per answer
+                  {stats.latencies.length === 0 && " (no timed answers yet)"}
+                </figcaption>
+              </figure>
+            </div>
+
+            {Object.keys(stats.transports).length > 0 && (
+              <p className="stats-note">
+                Delivered via{" "}
+                {Object.entries(stats.transports)
+                  .map(([transport, count]) => `${transport} (${count})`)
+                  .join(", ")}
+              </p>
+            )}
+            <p className="stats-note">
+              Response times are measured in this browser, so conversations
+              loaded from history have none.
+            </p>
+          </>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default StatsPanel;
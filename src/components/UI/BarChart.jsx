@@ -0,0 +1,71 @@
+import React from "react";
+import "./BarChart.scss";
+
+// Simple vertical bar chart. `data` is [{ label, value }].
+const BarChart = ({
+  data = [],
+  height = 120,
+  barWidth = 28,
+  gap = 12,
+  formatValue = (value) => value,
+  label = null,
+}) => {
+  const labelHeight = 18;
+  const valueHeight = 16;
+  const chartHeight = height - labelHeight - valueHeight;
+  const max = Math.max(...data.map((item) => item.value), 1);
+  const width = data.length * (barWidth + gap) - gap;
+
+  return (
+    <svg
+      className="bar-chart"
+      width={Math.max(width, 0)}
+      height={height}
+      viewBox={`0 0 ${Math.max(width, 0)} ${height}`}
+      role="img"
+      aria-label={
+        label ||
+        data
+          .map((item) => `${item.label}: ${formatValue(item.value)}`)
+          .join(", ")
+      }
+    >
+      {data.map((item, index) => {
+        const barHeight = (item.value / max) * chartHeight;
+        const x = index * (barWidth + gap);
+        const y = valueHeight + chartHeight - barHeight;
+
+        return (
+          <g key={item.label}>
+            <rect
+              className="bar-chart-bar"
+              x={x}
+              y={y}
+              width={barWidth}
+              height={Math.max(barHeight, item.value ? 1 : 0)}
+              rx="2"
+            />
+            <text
+              className="bar-chart-value"
+              x={x + barWidth / 2}
+              y={y - 4}
+              textAnchor="middle"
+            >
+              {formatValue(item.value)}
+            </text>
+            <text
+              className="bar-chart-label"
+              x={x + barWidth / 2}
+              y={height - 4}
+              textAnchor="middle"
+            >
+              {item.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,97 @@
+import React from "react";
+import { useCountdown } from "../../hooks/useCountdown";
+import {
+  CONNECTION_STATES,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+} from "../../utils/constants";
+import "./ConnectionBanner.scss";
+
+// Strip under the chat header describing the real-time connection. Hidden
+// while connected, apart from a short "restored" notice after a drop and a
+// warning while heartbeats are slow or unanswered. With `offlineOnly` (no
+// WebSocket transport) only the offline notice is shown.
+const ConnectionBanner = ({
+  state,
+  reason = null,
+  reconnectAttempts = 0,
+  maxReconnectAttempts,
+  nextRetryAt = null,
+  latency = null,
+  isDegraded = false,
+  isRestored = false,
+  onReconnect = null,
+  offlineOnly = false,
+}) => {
+  const secondsLeft = useCountdown(nextRetryAt);
+
+  const isOffline =
+    state === CONNECTION_STATES.DISCONNECTED && reason === "offline";
+  if (offlineOnly && !isOffline) return null;
+
+  let variant;
+  let text;
+  let canReconnect = false;
+
+  switch (state) {
+    case CONNECTION_STATES.CONNECTING:
+      variant = "pending";
+      text = "Connecting…";
+      break;
+    case CONNECTION_STATES.RECONNECTING: {
+      const attempt = `attempt ${reconnectAttempts} of ${maxReconnectAttempts}`;
+      variant = "pending";
+      text = secondsLeft
+        ? `Connection lost. Reconnecting in ${secondsLeft}s (${attempt})`
+        : `Reconnecting… (${attempt})`;
+      canReconnect = Boolean(secondsLeft);
+      break;
+    }
+    case CONNECTION_STATES.ERROR:
+      variant = "error";
+      text = `${ERROR_MESSAGES.WEBSOCKET_ERROR}. Replies may be slower.`;
+      canReconnect = true;
+      break;
+    case CONNECTION_STATES.DISCONNECTED:
+      // Anything else means we hung up on purpose
+      if (!isOffline) return null;
+      variant = "offline";
+      text = "You're offline. Messages will be sent when you reconnect.";
+      break;
+    default:
+      if (isDegraded) {
+        variant = "pending";
+        text =
+          latency !== null
+            ? `Slow connection (${latency} ms). Using a fallback connection meanwhile.`
+            : "Connection not responding. Using a fallback connection meanwhile.";
+        canReconnect = true;
+      } else if (isRestored) {
+        variant = "restored";
+        text = SUCCESS_MESSAGES.CONNECTION_RESTORED;
+      } else {
+        return null;
+      }
+  }
+
+  return (
+    <div
+      className={`connection-banner connection-banner--${variant}`}
+      role="status"
+      aria-live="polite"
+    >
+      <span className="connection-banner-text">{text}</span>
+      {canReconnect && onReconnect && (
+        <button
+          type="button"
+          className="connection-banner-action"
+          onClick={onReconnect}
+        >
+          Reconnect now
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionBanner;
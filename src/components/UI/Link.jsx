@@ -0,0 +1,36 @@
+import React from "react";
+import { useRouter } from "../../context/RouterContext";
+
+// Anchor that navigates client-side but still supports open-in-new-tab
+const Link = ({ to, replace = false, onClick = null, children, ...props }) => {
+  const { navigate } = useRouter();
+
+  const handleClick = (e) => {
+    if (onClick) {
+      onClick(e);
+    }
+
+    // Let the browser handle modified clicks (new tab/window)
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey ||
+      e.ctrlKey ||
+      e.shiftKey ||
+      e.altKey
+    ) {
+      return;
+    }
+
+    e.preventDefault();
+    navigate(to, { replace });
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
+
+export default Link;
@@ -0,0 +1,88 @@
+import React from "react";
+import "./Sparkline.scss";
+
+// Minimal SVG line chart. Null values leave gaps in the line.
+const Sparkline = ({
+  values = [],
+  width = 120,
+  height = 32,
+  strokeWidth = 1.5,
+  className = "",
+  label = null,
+}) => {
+  const numbers = values.filter((value) => Number.isFinite(value));
+
+  if (numbers.length === 0) {
+    return (
+      <svg
+        className={`sparkline sparkline--empty ${className}`}
+        width={width}
+        height={height}
+        role="img"
+        aria-label={label || "No data"}
+      >
+        <line x1="0" x2={width} y1={height / 2} y2={height / 2} />
+      </svg>
+    );
+  }
+
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  const range = max - min || 1;
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const padding = strokeWidth;
+
+  const toPoint = (value, index) => {
+    const x = values.length > 1 ? index * step : width / 2;
+    const y =
+      height - padding - ((value - min) / range) * (height - padding * 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  };
+
+  // Split into segments wherever a sample is missing
+  const segments = values.reduce(
+    (result, value, index) => {
+      if (Number.isFinite(value)) {
+        result[result.length - 1].push(toPoint(value, index));
+      } else if (result[result.length - 1].length > 0) {
+        result.push([]);
+      }
+      return result;
+    },
+    [[]]
+  );
+
+  const lastIndex = values.length - 1;
+  const lastValue = values[lastIndex];
+
+  return (
+    <svg
+      className={`sparkline ${className}`}
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={label || `Latest ${lastValue}`}
+    >
+      {segments
+        .filter((segment) => segment.length > 0)
+        .map((segment, index) => (
+          <polyline
+            key={index}
+            points={segment.join(" ")}
+            strokeWidth={strokeWidth}
+          />
+        ))}
+      {Number.isFinite(lastValue) && (
+        <circle
+          className="sparkline-last"
+          cx={toPoint(lastValue, lastIndex).split(",")[0]}
+          cy={toPoint(lastValue, lastIndex).split(",")[1]}
+          r={strokeWidth + 0.5}
+        />
+      )}
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,27 @@
+import React from "react";
+import Link from "./Link";
+import { STATUS_LABELS } from "../../utils/health";
+import { ROUTES } from "../../utils/constants";
+import "./StatusIndicator.scss";
+
+// Header badge for backend health; links to the health dashboard
+const StatusIndicator = ({ status, lastChecked = null }) => {
+  const label = STATUS_LABELS[status] || STATUS_LABELS.unknown;
+  const title = lastChecked
+    ? `${label} · checked ${new Date(lastChecked).toLocaleTimeString()}`
+    : label;
+
+  return (
+    <Link
+      to={ROUTES.HEALTH}
+      className={`status-indicator status-indicator--${status}`}
+      title={title}
+      aria-label={`Service status: ${label}`}
+    >
+      <span className="status-indicator-dot" aria-hidden="true" />
+      <span className="status-indicator-label">{label}</span>
+    </Link>
+  );
+};
+
+export default StatusIndicator;
@@ -0,0 +1,75 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+} from "react";
+import {
+  DEFAULT_PREFERENCES,
+  loadPreferences,
+  savePreferences,
+  migratePreferences,
+} from "../utils/preferences";
+import { STORAGE_KEYS } from "../utils/constants";
+import { useTheme } from "../hooks/useTheme";
+
+const PreferencesContext = createContext(null);
+
+// Holds user preferences, persisted under STORAGE_KEYS.USER_PREFERENCES,
+// and applies the selected theme to the document
+export const PreferencesProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+  const resolvedTheme = useTheme(preferences.theme, preferences.highContrast);
+
+  useEffect(() => {
+    savePreferences(preferences);
+  }, [preferences]);
+
+  // Apply changes made in other tabs
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== STORAGE_KEYS.USER_PREFERENCES) return;
+
+      try {
+        setPreferences(migratePreferences(JSON.parse(e.newValue)));
+      } catch (error) {
+        console.warn("Ignoring corrupt preferences from another tab:", error);
+      }
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // Update a single preference
+  const setPreference = useCallback((key, value) => {
+    setPreferences((prev) => migratePreferences({ ...prev, [key]: value }));
+  }, []);
+
+  // Restore defaults
+  const resetPreferences = useCallback(() => {
+    setPreferences({ ...DEFAULT_PREFERENCES });
+  }, []);
+
+  const value = useMemo(
+    () => ({ preferences, resolvedTheme, setPreference, resetPreferences }),
+    [preferences, resolvedTheme, setPreference, resetPreferences]
+  );
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+};
+
+// Access preferences and their setters
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext);
+  if (!context) {
+    throw new Error("usePreferences must be used within a PreferencesProvider");
+  }
+  return context;
+};
@@ -0,0 +1,59 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+} from "react";
+import { matchRoute } from "../utils/router";
+
+const RouterContext = createContext(null);
+
+// Minimal History API router: tracks the current path and exposes navigate()
+export const RouterProvider = ({ children }) => {
+  const [pathname, setPathname] = useState(() => window.location.pathname);
+
+  // Browser back/forward
+  useEffect(() => {
+    const handlePopState = () => {
+      setPathname(window.location.pathname);
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Navigate to a path, pushing a history entry unless replace is set
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (path === window.location.pathname) return;
+
+    if (replace) {
+      window.history.replaceState(null, "", path);
+    } else {
+      window.history.pushState(null, "", path);
+    }
+    setPathname(path);
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      route: matchRoute(pathname),
+      navigate,
+    }),
+    [pathname, navigate]
+  );
+
+  return (
+    <RouterContext.Provider value={value}>{children}</RouterContext.Provider>
+  );
+};
+
+// Access the current route and navigate()
+export const useRouter = () => {
+  const context = useContext(RouterContext);
+  if (!context) {
+    throw new Error("useRouter must be used within a RouterProvider");
+  }
+  return context;
+};
@@ -0,0 +1,41 @@
+import { useState, useEffect, useMemo } from "react";
+import historyCache from "../services/historyCache";
+
+// Messages of every known conversation, keyed by session ID: cached this
+// visit, saved locally, or fetched from the server on a miss. Only loads
+// again when conversations are added or removed, not on every new message.
+// `conversations` is null until the first load finishes.
+export const useAllConversations = (sessions = [], { enabled = true } = {}) => {
+  const [conversations, setConversations] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const sessionKey = sessions.map((session) => session.id).join("\n");
+  const sessionIds = useMemo(
+    () => (sessionKey ? sessionKey.split("\n") : []),
+    [sessionKey]
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let cancelled = false;
+
+    const loadConversations = async () => {
+      setIsLoading(true);
+      const loaded = await historyCache.loadMany(sessionIds);
+
+      if (!cancelled) {
+        setConversations(loaded);
+        setIsLoading(false);
+      }
+    };
+
+    loadConversations();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, sessionIds]);
+
+  return { conversations, isLoading };
+};
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from "react";
+import chatStorage from "../services/chatStorage";
+import { APP_CONFIG } from "../utils/constants";
+
+// Save the conversation to local storage every `interval` while it has
+// unsaved changes, and straight away when switching conversations or
+// leaving the page
+export const useAutoSave = (
+  sessionId,
+  messages,
+  interval = APP_CONFIG.AUTO_SAVE_INTERVAL
+) => {
+  const latestRef = useRef({ sessionId, messages });
+  const savedRef = useRef({ sessionId, messages });
+
+  useEffect(() => {
+    latestRef.current = { sessionId, messages };
+  }, [sessionId, messages]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    // Whatever is on screen when a conversation opens is already saved
+    savedRef.current = latestRef.current;
+
+    const save = () => {
+      const latest = latestRef.current;
+      if (latest.sessionId !== sessionId || latest === savedRef.current) {
+        return;
+      }
+
+      savedRef.current = latest;
+      chatStorage.saveConversation(sessionId, latest.messages);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") save();
+    };
+
+    const intervalId = setInterval(save, interval);
+    window.addEventListener("pagehide", save);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      clearInterval(intervalId);
+      window.removeEventListener("pagehide", save);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      save();
+    };
+  }, [sessionId, interval]);
+};
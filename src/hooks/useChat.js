@@ -1,9 +1,78 @@
 import { useState, useEffect, useCallback, useRef } from "react";
-import { chatAPI } from "../services/api";
 import websocketService from "../services/websocket";
-import { MESSAGE_TYPES, CHAT_STATES, ERROR_MESSAGES } from "../utils/constants";
+import transportManager from "../services/transport";
+import outboxService from "../services/outbox";
+import { apiUtils } from "../services/api";
+import { computeConversationStats } from "../utils/chatStats";
+import {
+  ensureVariants,
+  addVariant,
+  restoreVariant,
+  selectVariant,
+} from "../utils/messageVariants";
+import { branchFromMessage, switchBranch } from "../utils/messageBranches";
+import { mergeHistory } from "../utils/messageHistory";
+import {
+  MESSAGE_TYPES,
+  CHAT_STATES,
+  TRANSPORT_PREFERENCES,
+  CHAT_CONFIG,
+  FEATURES,
+} from "../utils/constants";
+
+// Merge updates into the message with the given id, if it is in the list
+const updateMessage = (messages, messageId, updates) =>
+  messages.map((msg) =>
+    msg.id === messageId
+      ? {
+          ...msg,
+          ...updates,
+          metadata: { ...msg.metadata, ...updates.metadata },
+        }
+      : msg
+  );
+
+// Merge updates into the message with the given id, creating an assistant
+// message for it if it is not in the list yet
+const upsertAssistantMessage = (messages, messageId, updates) => {
+  if (messages.some((msg) => msg.id === messageId)) {
+    return updateMessage(messages, messageId, updates);
+  }
+
+  return [
+    ...messages,
+    {
+      id: messageId,
+      type: MESSAGE_TYPES.ASSISTANT,
+      content: "",
+      timestamp: new Date().toISOString(),
+      ...updates,
+      metadata: { context: [], ...updates.metadata },
+    },
+  ];
+};
 
-export const useChat = (sessionId) => {
+// Stop every pending automatic retry, e.g. once the conversation moved on
+const cancelAutoRetries = (messages) =>
+  messages.map((msg) =>
+    msg.retry?.retryAt
+      ? { ...msg, retry: { ...msg.retry, retryAt: null } }
+      : msg
+  );
+
+// A message waiting in the outbox, shown until it can be sent
+const toPendingMessage = ({ id, content, queuedAt }) => ({
+  id,
+  type: MESSAGE_TYPES.USER,
+  content,
+  timestamp: queuedAt,
+  pending: true,
+});
+
+export const useChat = (
+  sessionId,
+  { preferredTransport = TRANSPORT_PREFERENCES.AUTO } = {}
+) => {
   const [messages, setMessages] = useState([]);
   const [currentMessage, setCurrentMessage] = useState("");
   const [isLoading, setIsLoading] = useState(false);
@@ -12,22 +81,32 @@ export const useChat = (sessionId) => {
   const [error, setError] = useState(null);
   const [isWebSocketConnected, setIsWebSocketConnected] = useState(false);
 
-  const streamingMessageRef = useRef("");
   const typingTimeoutRef = useRef(null);
-  const retryCountRef = useRef(0);
-  const maxRetries = 3;
+  const abortControllerRef = useRef(null);
+  const messagesRef = useRef(messages);
+  // Bumped whenever the chat is cleared or replaced, so replies still in
+  // flight for the previous conversation are dropped
+  const conversationRef = useRef(0);
+
+  // Lets stable callbacks read the latest messages
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
 
-  // Initialize WebSocket connection
+  // Initialize WebSocket connection. The socket is only opened when the
+  // WebSocket transport is enabled; nothing else would use it.
   useEffect(() => {
     if (sessionId) {
-      websocketService.connect(sessionId);
+      if (FEATURES.WEBSOCKET_ENABLED) {
+        websocketService.connect(sessionId);
+      }
 
       // Set up WebSocket event listeners
       const handleConnectionStatus = ({ connected }) => {
         setIsWebSocketConnected(connected);
         if (connected) {
           setError(null);
-          retryCountRef.current = 0;
+          outboxService.flush();
         }
       };
 
@@ -47,101 +126,15 @@ export const useChat = (sessionId) => {
         }
       };
 
-      const handleMessageChunk = (data) => {
-        streamingMessageRef.current += data.chunk || "";
-
-        // Update the last message (assistant message) with streaming content
-        setMessages((prev) => {
-          const updated = [...prev];
-          const lastMessage = updated[updated.length - 1];
-
-          if (lastMessage && lastMessage.type === MESSAGE_TYPES.ASSISTANT) {
-            updated[updated.length - 1] = {
-              ...lastMessage,
-              content: streamingMessageRef.current,
-              isStreaming: !data.isComplete,
-              timestamp: data.timestamp || new Date().toISOString(),
-            };
-          } else {
-            // Create new assistant message
-            updated.push({
-              id: `msg_${Date.now()}`,
-              type: MESSAGE_TYPES.ASSISTANT,
-              content: streamingMessageRef.current,
-              isStreaming: !data.isComplete,
-              timestamp: data.timestamp || new Date().toISOString(),
-              metadata: data.metadata || {},
-            });
-          }
-
-          return updated;
-        });
-
-        if (data.isComplete) {
-          streamingMessageRef.current = "";
-          setIsTyping(false);
-          setChatState(CHAT_STATES.IDLE);
-        }
-      };
-
-      const handleMessageComplete = (data) => {
-        streamingMessageRef.current = "";
-        setIsTyping(false);
-        setChatState(CHAT_STATES.IDLE);
-
-        // Ensure final message is marked as complete
-        setMessages((prev) => {
-          const updated = [...prev];
-          const lastMessage = updated[updated.length - 1];
-
-          if (lastMessage && lastMessage.type === MESSAGE_TYPES.ASSISTANT) {
-            updated[updated.length - 1] = {
-              ...lastMessage,
-              content: data.fullResponse || lastMessage.content,
-              isStreaming: false,
-              timestamp: data.timestamp || new Date().toISOString(),
-            };
-          }
-
-          return updated;
-        });
-      };
-
-      const handleError = (error) => {
-        console.error("WebSocket error:", error);
-        setError(error.message || ERROR_MESSAGES.WEBSOCKET_ERROR);
-        setIsTyping(false);
-        setChatState(CHAT_STATES.ERROR);
-        streamingMessageRef.current = "";
-      };
-
-      const handleConnectionError = ({ attempts }) => {
-        setError(`Connection error (attempt ${attempts}/${maxRetries})`);
-      };
-
-      const handleConnectionFailed = () => {
-        setError(ERROR_MESSAGES.WEBSOCKET_ERROR);
-        setChatState(CHAT_STATES.ERROR);
-      };
-
-      // Register event listeners
+      // Register event listeners. Reconnection progress is shown by the
+      // connection banner; messages still go out over SSE/HTTP meanwhile.
       websocketService.on("connection_status", handleConnectionStatus);
       websocketService.on("typing", handleTyping);
-      websocketService.on("message_chunk", handleMessageChunk);
-      websocketService.on("message_complete", handleMessageComplete);
-      websocketService.on("error", handleError);
-      websocketService.on("connection_error", handleConnectionError);
-      websocketService.on("connection_failed", handleConnectionFailed);
 
       // Cleanup
       return () => {
         websocketService.off("connection_status", handleConnectionStatus);
         websocketService.off("typing", handleTyping);
-        websocketService.off("message_chunk", handleMessageChunk);
-        websocketService.off("message_complete", handleMessageComplete);
-        websocketService.off("error", handleError);
-        websocketService.off("connection_error", handleConnectionError);
-        websocketService.off("connection_failed", handleConnectionFailed);
 
         if (typingTimeoutRef.current) {
           clearTimeout(typingTimeoutRef.current);
@@ -150,138 +143,520 @@ export const useChat = (sessionId) => {
     }
   }, [sessionId]);
 
-  // Send message via WebSocket (preferred)
-  const sendMessageWS = useCallback(
-    async (message) => {
-      if (!message.trim() || chatState === CHAT_STATES.SENDING) {
-        return;
-      }
+  // Stream the answer to `message` into a new assistant message at the end
+  // of the conversation. The transport manager tries WebSocket first, then
+  // SSE, then plain HTTP, falling back mid-flight on failure. `promptId` and
+  // `attempt` describe the user message being answered, for retries.
+  const requestReply = useCallback(
+    async (message, { promptId = null, attempt = 0 } = {}) => {
+      const assistantId = `msg_${Date.now()}_assistant`;
+      const startedAt = Date.now();
+      let firstChunkAt = null;
+      let partialContent = "";
+
+      const abortController = new AbortController();
+      abortControllerRef.current = abortController;
+
+      const conversation = conversationRef.current;
+      const updateMessages = (update) => {
+        if (conversationRef.current === conversation) {
+          setMessages(update);
+        }
+      };
 
       try {
-        setChatState(CHAT_STATES.SENDING);
+        setIsLoading(true);
         setError(null);
-        streamingMessageRef.current = "";
+        setChatState(CHAT_STATES.SENDING);
+        setIsTyping(true);
 
-        // Add user message immediately
-        const userMessage = {
-          id: `msg_${Date.now()}_user`,
-          type: MESSAGE_TYPES.USER,
-          content: message,
-          timestamp: new Date().toISOString(),
+        // Render streamed content progressively
+        const handleChunk = (content) => {
+          partialContent = content;
+          firstChunkAt = firstChunkAt || Date.now();
+          setIsTyping(false);
+          setChatState(CHAT_STATES.RECEIVING);
+          updateMessages((prev) =>
+            upsertAssistantMessage(prev, assistantId, {
+              content,
+              isStreaming: true,
+            })
+          );
         };
 
-        setMessages((prev) => [...prev, userMessage]);
+        // The next transport answers from scratch, so drop partial output
+        const handleFallback = (failedTransport, nextTransport) => {
+          console.warn(
+            `Falling back from ${failedTransport} to ${nextTransport}`
+          );
+          partialContent = "";
+          firstChunkAt = null;
+          setIsTyping(true);
+          setChatState(CHAT_STATES.SENDING);
+          updateMessages((prev) =>
+            prev.filter((msg) => msg.id !== assistantId)
+          );
+        };
 
-        // Send via WebSocket
-        websocketService.sendMessage(message, sessionId);
+        const result = await transportManager.send(message, sessionId, {
+          onChunk: handleChunk,
+          onFallback: handleFallback,
+          signal: abortController.signal,
+          preferredTransport,
+        });
 
-        setChatState(CHAT_STATES.RECEIVING);
-        setCurrentMessage("");
+        updateMessages((prev) =>
+          upsertAssistantMessage(prev, assistantId, {
+            content: result.content,
+            isStreaming: false,
+            timestamp: result.timestamp,
+            metadata: {
+              context: result.context,
+              source: result.source,
+              latencyMs: Date.now() - startedAt,
+              firstChunkMs: firstChunkAt ? firstChunkAt - startedAt : null,
+            },
+          })
+        );
+        setChatState(CHAT_STATES.IDLE);
       } catch (error) {
-        console.error("WebSocket send error:", error);
+        // Stopped by the user - keep the partial answer, marked
+        // interrupted. Nothing is added if no text had arrived yet.
+        if (apiUtils.isAbortError(error)) {
+          updateMessages((prev) =>
+            updateMessage(prev, assistantId, {
+              content: partialContent,
+              isStreaming: false,
+              metadata: {
+                source: error.transport,
+                interrupted: true,
+              },
+            })
+          );
+          setChatState(CHAT_STATES.IDLE);
+          return;
+        }
+
+        console.error("Send message error:", error);
+        if (conversationRef.current !== conversation) return;
+
         setError(error.message);
         setChatState(CHAT_STATES.ERROR);
+
+        // Network and server errors are retried automatically with backoff
+        const retryAt =
+          apiUtils.isRetriableError(error) && attempt < CHAT_CONFIG.MAX_RETRIES
+            ? Date.now() +
+              apiUtils.getRetryDelay(
+                attempt,
+                CHAT_CONFIG.RETRY_DELAY,
+                CHAT_CONFIG.MAX_RETRY_DELAY
+              )
+            : null;
+
+        // Keep any partial answer, then add an error message that remembers
+        // the prompt so it can be asked again
+        const errorMessage = {
+          id: `msg_${Date.now()}_error`,
+          type: MESSAGE_TYPES.ERROR,
+          content: `Failed to send message: ${error.message}`,
+          timestamp: new Date().toISOString(),
+          retry: {
+            prompt: message,
+            promptId,
+            partialId: partialContent ? assistantId : null,
+            attempt,
+            retryAt,
+          },
+        };
+
+        setMessages((prev) => [
+          ...updateMessage(prev, assistantId, { isStreaming: false }),
+          errorMessage,
+        ]);
+      } finally {
+        if (abortControllerRef.current === abortController) {
+          abortControllerRef.current = null;
+        }
+        setIsLoading(false);
+        setIsTyping(false);
       }
     },
-    [sessionId, chatState]
+    [sessionId, preferredTransport]
   );
 
-  // Send message via HTTP API (fallback)
-  const sendMessageHTTP = useCallback(
+  // Send messages queued while offline, in order, once this conversation
+  // is open and the connection is back
+  useEffect(() => {
+    if (!sessionId) return;
+
+    // Queued messages the conversation does not show yet, e.g. after a reload
+    setMessages((prev) => [
+      ...prev,
+      ...outboxService
+        .list(sessionId)
+        .filter((entry) => !prev.some((msg) => msg.id === entry.id))
+        .map(toPendingMessage),
+    ]);
+
+    // Move the message below anything added while it waited, so its reply
+    // follows it
+    const sendQueued = async ({ id, content, queuedAt }) => {
+      setMessages((prev) => {
+        const { pending, ...message } =
+          prev.find((msg) => msg.id === id) ||
+          toPendingMessage({ id, content, queuedAt });
+
+        return [
+          ...cancelAutoRetries(prev.filter((msg) => msg.id !== id)),
+          { ...message, content },
+        ];
+      });
+
+      await requestReply(content, { promptId: id });
+    };
+
+    return outboxService.register(sessionId, {
+      send: sendQueued,
+      isReady: () => !abortControllerRef.current,
+    });
+  }, [sessionId, requestReply]);
+
+  // Work through the outbox whenever no reply is in flight
+  useEffect(() => {
+    if (!isLoading && sessionId && outboxService.list(sessionId).length > 0) {
+      outboxService.flush();
+    }
+  }, [isLoading, sessionId]);
+
+  // Main send message function
+  const sendMessage = useCallback(
     async (message) => {
       if (!message.trim() || isLoading) {
         return;
       }
 
+      // Add user message immediately
+      const userMessage = {
+        id: `msg_${Date.now()}_user`,
+        type: MESSAGE_TYPES.USER,
+        content: message,
+        timestamp: new Date().toISOString(),
+      };
+
+      setCurrentMessage("");
+
+      // Offline, or while earlier messages still wait, it joins the outbox
+      // so everything goes out in order once the connection is back
+      if (!navigator.onLine || outboxService.list(sessionId).length > 0) {
+        const entry = {
+          id: userMessage.id,
+          sessionId,
+          content: message,
+          queuedAt: userMessage.timestamp,
+        };
+
+        outboxService.add(entry);
+        setMessages((prev) => [
+          ...cancelAutoRetries(prev),
+          toPendingMessage(entry),
+        ]);
+        outboxService.flush();
+        return;
+      }
+
+      setMessages((prev) => [...cancelAutoRetries(prev), userMessage]);
+
+      await requestReply(message, { promptId: userMessage.id });
+    },
+    [sessionId, isLoading, requestReply]
+  );
+
+  // Take a message out of the outbox before it is sent
+  const cancelQueuedMessage = useCallback((messageId) => {
+    if (!outboxService.has(messageId)) return;
+
+    outboxService.remove(messageId);
+    setMessages((prev) => prev.filter((msg) => msg.id !== messageId));
+  }, []);
+
+  // Resubmit an earlier user message with new text. The conversation
+  // branches there; the old continuation stays reachable via switchBranch.
+  // A message still in the outbox just has its queued text replaced.
+  const editMessage = useCallback(
+    async (messageId, content) => {
+      const message = content.trim();
+      if (!message) {
+        return;
+      }
+
+      if (outboxService.has(messageId)) {
+        outboxService.update(messageId, message);
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.id === messageId ? { ...msg, content: message } : msg
+          )
+        );
+        return;
+      }
+
+      if (isLoading) {
+        return;
+      }
+
+      setMessages((prev) => branchFromMessage(prev, messageId, message));
+      await requestReply(message, { promptId: messageId });
+    },
+    [isLoading, requestReply]
+  );
+
+  // View another branch of an edited user message
+  const selectMessageBranch = useCallback(
+    (messageId, branchIndex) => {
+      if (isLoading) return;
+      setMessages((prev) => switchBranch(prev, messageId, branchIndex));
+    },
+    [isLoading]
+  );
+
+  // Ask the question behind an assistant answer again. The new answer is
+  // streamed into the same message and kept alongside the earlier ones as
+  // variants; on failure the previous answer is put back.
+  const regenerateMessage = useCallback(
+    async (messageId) => {
+      if (isLoading) return;
+
+      const current = messagesRef.current;
+      const index = current.findIndex((msg) => msg.id === messageId);
+      const prompt = current
+        .slice(0, Math.max(index, 0))
+        .reverse()
+        .find((msg) => msg.type === MESSAGE_TYPES.USER);
+
+      if (current[index]?.type !== MESSAGE_TYPES.ASSISTANT || !prompt) {
+        return;
+      }
+
+      const startedAt = Date.now();
+      let firstChunkAt = null;
+      let partialContent = "";
+
+      const abortController = new AbortController();
+      abortControllerRef.current = abortController;
+
+      const conversation = conversationRef.current;
+      const updateAnswer = (update) => {
+        if (conversationRef.current !== conversation) return;
+        setMessages((prev) =>
+          prev.map((msg) => (msg.id === messageId ? update(msg) : msg))
+        );
+      };
+
+      const finish = (answer) => {
+        updateAnswer((msg) => ({
+          ...(answer ? addVariant(msg, answer) : restoreVariant(msg)),
+          isStreaming: false,
+        }));
+      };
+
       try {
         setIsLoading(true);
         setError(null);
         setChatState(CHAT_STATES.SENDING);
 
-        // Add user message
-        const userMessage = {
-          id: `msg_${Date.now()}_user`,
-          type: MESSAGE_TYPES.USER,
-          content: message,
-          timestamp: new Date().toISOString(),
+        updateAnswer((msg) => ({
+          ...ensureVariants(msg),
+          content: "",
+          isStreaming: true,
+          metadata: { context: [] },
+        }));
+
+        const handleChunk = (content) => {
+          partialContent = content;
+          firstChunkAt = firstChunkAt || Date.now();
+          setChatState(CHAT_STATES.RECEIVING);
+          updateAnswer((msg) => ({ ...msg, content }));
         };
 
-        setMessages((prev) => [...prev, userMessage]);
+        const handleFallback = (failedTransport, nextTransport) => {
+          console.warn(
+            `Falling back from ${failedTransport} to ${nextTransport}`
+          );
+          partialContent = "";
+          firstChunkAt = null;
+          setChatState(CHAT_STATES.SENDING);
+          updateAnswer((msg) => ({ ...msg, content: "" }));
+        };
 
-        // Send to API
-        const response = await chatAPI.sendMessage(message, sessionId);
+        const result = await transportManager.send(prompt.content, sessionId, {
+          onChunk: handleChunk,
+          onFallback: handleFallback,
+          signal: abortController.signal,
+          preferredTransport,
+        });
 
-        // Add assistant response
-        const assistantMessage = {
-          id: `msg_${Date.now()}_assistant`,
-          type: MESSAGE_TYPES.ASSISTANT,
-          content: response.data.botResponse,
-          timestamp: response.data.timestamp,
+        finish({
+          content: result.content,
+          timestamp: result.timestamp,
           metadata: {
-            context: response.data.context || [],
-            source: response.data.source || "api",
+            context: result.context,
+            source: result.source,
+            latencyMs: Date.now() - startedAt,
+            firstChunkMs: firstChunkAt ? firstChunkAt - startedAt : null,
           },
-        };
-
-        setMessages((prev) => [...prev, assistantMessage]);
-        setCurrentMessage("");
+        });
         setChatState(CHAT_STATES.IDLE);
       } catch (error) {
-        console.error("HTTP send error:", error);
-        setError(error.message);
-        setChatState(CHAT_STATES.ERROR);
+        // Stopped by the user - a partial answer still counts as a variant
+        if (apiUtils.isAbortError(error)) {
+          finish(
+            partialContent && {
+              content: partialContent,
+              timestamp: new Date().toISOString(),
+              metadata: {
+                context: [],
+                source: error.transport,
+                interrupted: true,
+              },
+            }
+          );
+          setChatState(CHAT_STATES.IDLE);
+          return;
+        }
 
-        // Add error message
-        const errorMessage = {
-          id: `msg_${Date.now()}_error`,
-          type: MESSAGE_TYPES.ERROR,
-          content: `Failed to send message: ${error.message}`,
-          timestamp: new Date().toISOString(),
-        };
+        console.error("Regenerate message error:", error);
+        finish(null);
+        if (conversationRef.current !== conversation) return;
 
-        setMessages((prev) => [...prev, errorMessage]);
+        setError(`Failed to regenerate response: ${error.message}`);
+        setChatState(CHAT_STATES.ERROR);
       } finally {
+        if (abortControllerRef.current === abortController) {
+          abortControllerRef.current = null;
+        }
         setIsLoading(false);
       }
     },
-    [sessionId, isLoading]
+    [sessionId, isLoading, preferredTransport]
   );
 
-  // Main send message function (tries WebSocket first, falls back to HTTP)
-  const sendMessage = useCallback(
-    async (message) => {
-      await sendMessageHTTP(message);
-    },
-    [sendMessageHTTP]
-  );
+  // Show another version of a regenerated answer
+  const selectMessageVariant = useCallback((messageId, variantIndex) => {
+    setMessages((prev) =>
+      prev.map((msg) =>
+        msg.id === messageId && !msg.isStreaming
+          ? selectVariant(msg, variantIndex)
+          : msg
+      )
+    );
+  }, []);
 
-  // Retry sending message
+  // Stop generating the in-flight response
+  const stopGeneration = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
+
+  // Ask the prompt behind an error message again. The latest failure is
+  // replaced by the new reply; an older one is asked as a new question so
+  // the answer does not land out of order.
   const retryMessage = useCallback(
-    async (message) => {
-      if (retryCountRef.current < maxRetries) {
-        retryCountRef.current += 1;
-        await sendMessage(message);
-      } else {
-        setError(`Failed to send message after ${maxRetries} attempts`);
+    async (errorId) => {
+      const current = messagesRef.current;
+      const failed = current.find((msg) => msg.id === errorId);
+      const retry = failed?.retry;
+
+      if (!retry?.prompt || isLoading) {
+        return;
       }
+
+      if (current[current.length - 1].id !== errorId) {
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.id === errorId
+              ? { ...msg, retry: { ...retry, retryAt: null } }
+              : msg
+          )
+        );
+        await sendMessage(retry.prompt);
+        return;
+      }
+
+      setMessages((prev) =>
+        prev.filter((msg) => msg.id !== errorId && msg.id !== retry.partialId)
+      );
+      await requestReply(retry.prompt, {
+        promptId: retry.promptId,
+        attempt: retry.attempt + 1,
+      });
     },
-    [sendMessage]
+    [isLoading, sendMessage, requestReply]
   );
 
+  // Keep an error message but stop its automatic retry
+  const cancelRetry = useCallback((errorId) => {
+    setMessages((prev) =>
+      prev.map((msg) =>
+        msg.id === errorId && msg.retry
+          ? { ...msg, retry: { ...msg.retry, retryAt: null } }
+          : msg
+      )
+    );
+  }, []);
+
+  // Fire the automatic retry of the latest failed reply when it comes due
+  useEffect(() => {
+    const last = messages[messages.length - 1];
+    if (
+      isLoading ||
+      last?.type !== MESSAGE_TYPES.ERROR ||
+      !last.retry?.retryAt
+    ) {
+      return;
+    }
+
+    const timeoutId = setTimeout(
+      () => retryMessage(last.id),
+      Math.max(last.retry.retryAt - Date.now(), 0)
+    );
+
+    return () => clearTimeout(timeoutId);
+  }, [messages, isLoading, retryMessage]);
+
   // Clear error
   const clearError = useCallback(() => {
     setError(null);
     setChatState(CHAT_STATES.IDLE);
-    retryCountRef.current = 0;
   }, []);
 
   // Clear all messages
   const clearMessages = useCallback(() => {
+    conversationRef.current += 1;
     setMessages([]);
     setCurrentMessage("");
     setError(null);
     setChatState(CHAT_STATES.IDLE);
-    streamingMessageRef.current = "";
+  }, []);
+
+  // Replace the conversation with previously saved messages
+  const loadMessages = useCallback((loadedMessages = []) => {
+    conversationRef.current += 1;
+    setMessages(cancelAutoRetries(loadedMessages));
+    setCurrentMessage("");
+    setError(null);
+    setChatState(CHAT_STATES.IDLE);
+  }, []);
+
+  // Show a saved conversation, keeping anything sent while it was loading.
+  // Copies saved while a message was queued drop it once it left the
+  // outbox; if it was sent, the server history has it.
+  const hydrateMessages = useCallback((historyMessages = []) => {
+    const settled = historyMessages.filter(
+      (msg) => !msg.pending || outboxService.has(msg.id)
+    );
+
+    setMessages((prev) => mergeHistory(cancelAutoRetries(settled), prev));
   }, []);
 
   // Add system message
@@ -302,6 +677,7 @@ export const useChat = (sessionId) => {
   // Get chat statistics
   const getChatStats = useCallback(() => {
     return {
+      ...computeConversationStats(messages),
       totalMessages: messages.length,
       userMessages: messages.filter((m) => m.type === MESSAGE_TYPES.USER)
         .length,
@@ -327,9 +703,18 @@ export const useChat = (sessionId) => {
 
     // Actions
     sendMessage,
+    cancelQueuedMessage,
+    stopGeneration,
     retryMessage,
+    cancelRetry,
+    regenerateMessage,
+    selectMessageVariant,
+    editMessage,
+    selectMessageBranch,
     clearError,
     clearMessages,
+    loadMessages,
+    hydrateMessages,
     addSystemMessage,
     setCurrentMessage,
 
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from "react";
+import websocketService from "../services/websocket";
+import { UI_CONFIG, CONNECTION_STATES } from "../utils/constants";
+
+// The real-time connection's state (see websocketService.setState) plus
+// `isOffline`, true while the browser has no network, and `isRestored`,
+// true for a moment after a dropped connection comes back
+export const useConnectionState = () => {
+  const [status, setStatus] = useState(() =>
+    websocketService.getConnectionStatus()
+  );
+  const [isRestored, setIsRestored] = useState(false);
+
+  useEffect(() => {
+    const handleState = (nextStatus) => {
+      setStatus(nextStatus);
+    };
+
+    const handleReconnected = () => {
+      setIsRestored(true);
+    };
+
+    websocketService.on("connection_state", handleState);
+    websocketService.on("reconnected", handleReconnected);
+
+    // The socket may have moved on before we subscribed
+    setStatus(websocketService.getConnectionStatus());
+
+    return () => {
+      websocketService.off("connection_state", handleState);
+      websocketService.off("reconnected", handleReconnected);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!isRestored) return;
+
+    const timeoutId = setTimeout(
+      () => setIsRestored(false),
+      UI_CONFIG.TOAST_DURATION
+    );
+
+    return () => clearTimeout(timeoutId);
+  }, [isRestored]);
+
+  const reconnect = useCallback(() => {
+    websocketService.reconnect();
+  }, []);
+
+  const isOffline =
+    status.state === CONNECTION_STATES.DISCONNECTED &&
+    status.reason === "offline";
+
+  return { ...status, isOffline, isRestored, reconnect };
+};
@@ -0,0 +1,18 @@
+import { useState, useEffect } from "react";
+
+// Whole seconds left until `target` (a ms timestamp), updated every second.
+// Null when there is no target.
+export const useCountdown = (target) => {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!target) return;
+
+    setNow(Date.now());
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+
+    return () => clearInterval(intervalId);
+  }, [target]);
+
+  return target ? Math.max(Math.ceil((target - now) / 1000), 0) : null;
+};
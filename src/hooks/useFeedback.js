@@ -0,0 +1,21 @@
+import { useState, useEffect } from "react";
+import feedbackService from "../services/feedback";
+
+// The stored vote for a message, kept in sync as it is sent or queued
+export const useFeedback = (messageId) => {
+  const [feedback, setFeedback] = useState(() =>
+    feedbackService.get(messageId)
+  );
+
+  useEffect(() => {
+    setFeedback(feedbackService.get(messageId));
+
+    return feedbackService.subscribe((changedId) => {
+      if (changedId === messageId) {
+        setFeedback(feedbackService.get(messageId));
+      }
+    });
+  }, [messageId]);
+
+  return feedback;
+};
@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { healthAPI } from "../services/api";
+import { normalizeHealth } from "../utils/health";
+import { HEALTH_CONFIG, HEALTH_STATUS } from "../utils/constants";
+
+// History key for the client-measured round trip
+export const API_SERIES = "api";
+
+const INITIAL_HEALTH = {
+  status: HEALTH_STATUS.UNKNOWN,
+  dependencies: [],
+  uptime: null,
+  version: null,
+};
+
+// Keep the newest HISTORY_LENGTH samples per series
+const appendSample = (history, name, sample) => ({
+  ...history,
+  [name]: [...(history[name] || []), sample].slice(
+    -HEALTH_CONFIG.HISTORY_LENGTH
+  ),
+});
+
+// Poll the detailed health endpoint while the tab is visible. Tracks
+// per-dependency latency history and how often the backend was reachable
+// during this session.
+export const useHealth = ({ interval = HEALTH_CONFIG.POLL_INTERVAL } = {}) => {
+  const [health, setHealth] = useState(INITIAL_HEALTH);
+  const [history, setHistory] = useState({});
+  const [sessionStats, setSessionStats] = useState(() => ({
+    startedAt: Date.now(),
+    checks: 0,
+    reachableChecks: 0,
+    lastChecked: null,
+    lastError: null,
+  }));
+  const [isChecking, setIsChecking] = useState(false);
+  const inFlightRef = useRef(false);
+  const isMountedRef = useRef(true);
+
+  const checkHealth = useCallback(async () => {
+    if (inFlightRef.current) return;
+    inFlightRef.current = true;
+    setIsChecking(true);
+
+    const startedAt = performance.now();
+    let result;
+    let roundTrip = null;
+    let error = null;
+
+    try {
+      const response = await healthAPI.checkDetailed();
+      roundTrip = Math.round(performance.now() - startedAt);
+      result = normalizeHealth(response, roundTrip);
+    } catch (err) {
+      error = err;
+      result = { ...INITIAL_HEALTH, status: HEALTH_STATUS.DOWN };
+    }
+
+    inFlightRef.current = false;
+    if (!isMountedRef.current) return;
+
+    const timestamp = Date.now();
+
+    setHealth(result);
+    setHistory((prev) =>
+      result.dependencies.reduce(
+        (next, dep) =>
+          appendSample(next, dep.name, {
+            timestamp,
+            latency: dep.latency,
+            status: dep.status,
+          }),
+        appendSample(prev, API_SERIES, {
+          timestamp,
+          latency: roundTrip,
+          status: result.status,
+        })
+      )
+    );
+    setSessionStats((prev) => ({
+      ...prev,
+      checks: prev.checks + 1,
+      reachableChecks: prev.reachableChecks + (error ? 0 : 1),
+      lastChecked: timestamp,
+      lastError: error ? error.message : null,
+    }));
+    setIsChecking(false);
+  }, []);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    checkHealth();
+
+    const intervalId = setInterval(() => {
+      if (!document.hidden) {
+        checkHealth();
+      }
+    }, interval);
+
+    // Catch up as soon as the tab is visible again
+    const handleVisibilityChange = () => {
+      if (!document.hidden) {
+        checkHealth();
+      }
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      isMountedRef.current = false;
+      clearInterval(intervalId);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [checkHealth, interval]);
+
+  return {
+    health,
+    history,
+    sessionStats,
+    isChecking,
+    checkHealth,
+  };
+};
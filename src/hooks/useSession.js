@@ -1,9 +1,39 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import { sessionAPI } from "../services/api";
-import { STORAGE_KEYS, ERROR_MESSAGES } from "../utils/constants";
+import {
+  STORAGE_KEYS,
+  ERROR_MESSAGES,
+  DEFAULT_MESSAGES,
+} from "../utils/constants";
+import { toConversationTree } from "../utils/messageBranches";
 
-export const useSession = () => {
+// Read the conversation index saved by previous visits
+const loadSessionIndex = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.SESSION_INDEX));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn("Ignoring corrupt session index:", error);
+    return [];
+  }
+};
+
+// Build an index entry for a conversation
+const createSessionEntry = (sessionId, overrides = {}) => {
+  const now = new Date().toISOString();
+  return {
+    id: sessionId,
+    title: DEFAULT_MESSAGES.NEW_CONVERSATION,
+    createdAt: now,
+    lastActivity: now,
+    messageCount: 0,
+    ...overrides,
+  };
+};
+
+export const useSession = (initialSessionId = null) => {
   const [currentSessionId, setCurrentSessionId] = useState(null);
+  const [sessions, setSessions] = useState(loadSessionIndex);
   const [sessionHistory, setSessionHistory] = useState([]);
   const [isCreatingSession, setIsCreatingSession] = useState(false);
   const [isClearingSession, setIsClearingSession] = useState(false);
@@ -11,9 +41,15 @@ export const useSession = () => {
   const [error, setError] = useState(null);
   const [sessionStats, setSessionStats] = useState(null);
 
-  // Load session from localStorage on mount
+  // The session whose history is wanted. Responses for any other session
+  // arrive too late (e.g. after a quick switch) and are ignored.
+  const historySessionRef = useRef(null);
+
+  // Load session on mount: an explicitly requested one (e.g. from the URL)
+  // wins over the one saved in localStorage
   useEffect(() => {
-    const savedSessionId = localStorage.getItem(STORAGE_KEYS.CURRENT_SESSION);
+    const savedSessionId =
+      initialSessionId || localStorage.getItem(STORAGE_KEYS.CURRENT_SESSION);
     if (savedSessionId && savedSessionId !== "null") {
       setCurrentSessionId(savedSessionId);
       loadSessionHistory(savedSessionId);
@@ -32,6 +68,34 @@ export const useSession = () => {
     }
   }, [currentSessionId]);
 
+  // Persist the conversation index
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.SESSION_INDEX, JSON.stringify(sessions));
+  }, [sessions]);
+
+  // Make sure the current session is listed (e.g. sessions from before the
+  // index existed)
+  useEffect(() => {
+    if (!currentSessionId) return;
+
+    setSessions((prev) =>
+      prev.some((entry) => entry.id === currentSessionId)
+        ? prev
+        : [createSessionEntry(currentSessionId), ...prev]
+    );
+  }, [currentSessionId]);
+
+  // Merge changes (title, lastActivity, messageCount) into an index entry
+  const updateSessionEntry = useCallback((sessionId, updates) => {
+    if (!sessionId) return;
+
+    setSessions((prev) =>
+      prev.map((entry) =>
+        entry.id === sessionId ? { ...entry, ...updates } : entry
+      )
+    );
+  }, []);
+
   // Create a new session
   const createNewSession = useCallback(async () => {
     try {
@@ -39,8 +103,10 @@ export const useSession = () => {
       setError(null);
 
       const newSessionId = await sessionAPI.createSession();
+      historySessionRef.current = newSessionId;
       setCurrentSessionId(newSessionId);
       setSessionHistory([]);
+      setIsLoadingHistory(false);
 
       console.log("New session created:", newSessionId);
       return newSessionId;
@@ -57,23 +123,30 @@ export const useSession = () => {
   const loadSessionHistory = useCallback(async (sessionId) => {
     if (!sessionId) return;
 
+    historySessionRef.current = sessionId;
+    const isCurrent = () => historySessionRef.current === sessionId;
+
     try {
       setIsLoadingHistory(true);
       setError(null);
 
       const history = await sessionAPI.getSessionHistory(sessionId);
+      if (!isCurrent()) return history || [];
+
       setSessionHistory(history || []);
 
       console.log(
         `Loaded ${history?.length || 0} messages for session:`,
         sessionId
       );
+      return history || [];
     } catch (error) {
       console.error("Error loading session history:", error);
       // Don't set error for history loading failure - session can still work
-      setSessionHistory([]);
+      if (isCurrent()) setSessionHistory([]);
+      return [];
     } finally {
-      setIsLoadingHistory(false);
+      if (isCurrent()) setIsLoadingHistory(false);
     }
   }, []);
 
@@ -99,15 +172,9 @@ export const useSession = () => {
     }
   }, [currentSessionId]);
 
-  // Start a new session (clear current and create new)
+  // Start a new session (the current one stays in the conversation list)
   const startNewSession = useCallback(async () => {
     try {
-      // Clear current session if exists
-      if (currentSessionId) {
-        await clearCurrentSession();
-      }
-
-      // Create new session
       const newSessionId = await createNewSession();
       return newSessionId;
     } catch (error) {
@@ -115,7 +182,24 @@ export const useSession = () => {
       setError(error.message || ERROR_MESSAGES.SERVER);
       throw error;
     }
-  }, [currentSessionId, clearCurrentSession, createNewSession]);
+  }, [createNewSession]);
+
+  // Switch to another conversation and reload its history
+  const switchSession = useCallback(
+    async (sessionId) => {
+      if (!sessionId) return [];
+
+      setCurrentSessionId(sessionId);
+      setSessionHistory([]);
+      return loadSessionHistory(sessionId);
+    },
+    [loadSessionHistory]
+  );
+
+  // Remove a conversation from the list
+  const removeSession = useCallback((sessionId) => {
+    setSessions((prev) => prev.filter((entry) => entry.id !== sessionId));
+  }, []);
 
   // Load session statistics
   const loadSessionStats = useCallback(async () => {
@@ -171,28 +255,37 @@ export const useSession = () => {
 
   // Cleanup session data
   const cleanupSession = useCallback(() => {
+    historySessionRef.current = null;
     setCurrentSessionId(null);
     setSessionHistory([]);
+    setIsLoadingHistory(false);
     setSessionStats(null);
     setError(null);
     localStorage.removeItem(STORAGE_KEYS.CURRENT_SESSION);
   }, []);
 
-  // Export session data (for backup/sharing)
-  const exportSessionData = useCallback(() => {
-    return {
-      sessionId: currentSessionId,
-      history: sessionHistory,
-      stats: sessionStats,
-      exportedAt: new Date().toISOString(),
-    };
-  }, [currentSessionId, sessionHistory, sessionStats]);
+  // Export session data (for backup/sharing). Messages are exported as a
+  // tree holding every branch; regenerated answers as the chosen version.
+  const exportSessionData = useCallback(
+    (messages = []) => {
+      return {
+        sessionId: currentSessionId,
+        history: sessionHistory,
+        messages: toConversationTree(messages),
+        stats: sessionStats,
+        exportedAt: new Date().toISOString(),
+      };
+    },
+    [currentSessionId, sessionHistory, sessionStats]
+  );
 
   // Import session data (from backup/sharing)
   const importSessionData = useCallback((sessionData) => {
     if (sessionData.sessionId) {
+      historySessionRef.current = sessionData.sessionId;
       setCurrentSessionId(sessionData.sessionId);
       setSessionHistory(sessionData.history || []);
+      setIsLoadingHistory(false);
       setSessionStats(sessionData.stats || null);
     }
   }, []);
@@ -200,6 +293,7 @@ export const useSession = () => {
   return {
     // State
     currentSessionId,
+    sessions,
     sessionHistory,
     isCreatingSession,
     isClearingSession,
@@ -210,6 +304,9 @@ export const useSession = () => {
     // Actions
     createNewSession,
     startNewSession,
+    switchSession,
+    removeSession,
+    updateSessionEntry,
     clearCurrentSession,
     loadSessionHistory,
     loadSessionStats,
@@ -0,0 +1,24 @@
+import { useState, useEffect, useLayoutEffect } from "react";
+import {
+  applyTheme,
+  resolveThemeMode,
+  prefersDarkScheme,
+  watchSystemScheme,
+} from "../utils/theme";
+
+// Apply the theme preference to the document and keep it in sync with the
+// OS color scheme when following the system. Returns the resolved mode.
+export const useTheme = (mode, highContrast = false) => {
+  const [systemPrefersDark, setSystemPrefersDark] = useState(prefersDarkScheme);
+
+  useEffect(() => watchSystemScheme(setSystemPrefersDark), []);
+
+  const resolvedMode = resolveThemeMode(mode, systemPrefersDark);
+
+  // Layout effect so the new palette lands before the browser paints
+  useLayoutEffect(() => {
+    applyTheme(resolvedMode, highContrast);
+  }, [resolvedMode, highContrast]);
+
+  return resolvedMode;
+};
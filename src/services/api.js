@@ -24,6 +24,11 @@ apiClient.interceptors.request.use((config) => {
 apiClient.interceptors.response.use(
   (response) => response,
   (error) => {
+    // Cancelled requests are intentional, pass them through untouched
+    if (axios.isCancel(error)) {
+      throw error;
+    }
+
     console.error("API Error:", error);
 
     if (error.response) {
@@ -43,21 +48,32 @@ apiClient.interceptors.response.use(
 // Chat API endpoints
 export const chatAPI = {
   // Send a message and get response
-  sendMessage: async (message, sessionId = null) => {
+  sendMessage: async (message, sessionId = null, { signal } = {}) => {
     try {
-      const response = await apiClient.post("/api/chat", {
-        message,
-        sessionId,
-      });
+      const response = await apiClient.post(
+        "/api/chat",
+        {
+          message,
+          sessionId,
+        },
+        { signal }
+      );
       return response.data;
     } catch (error) {
-      console.error("Send message error:", error);
+      if (!apiUtils.isAbortError(error)) {
+        console.error("Send message error:", error);
+      }
       throw error;
     }
   },
 
   // Stream a message (for Server-Sent Events)
-  streamMessage: async (message, sessionId = null, onChunk = null) => {
+  streamMessage: async (
+    message,
+    sessionId = null,
+    onChunk = null,
+    { signal } = {}
+  ) => {
     try {
       const response = await fetch(`${BASE_URL}/api/chat/stream`, {
         method: "POST",
@@ -66,6 +82,7 @@ export const chatAPI = {
           "X-Session-ID": sessionId || "",
         },
         body: JSON.stringify({ message, sessionId }),
+        signal,
       });
 
       if (!response.ok) {
@@ -76,30 +93,64 @@ export const chatAPI = {
       const decoder = new TextDecoder();
       let buffer = "";
 
-      while (true) {
-        const { done, value } = await reader.read();
-
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n\n");
-        buffer = lines.pop() || "";
-
-        for (const line of lines) {
-          if (line.startsWith("data: ")) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              if (onChunk) {
-                onChunk(data);
-              }
-            } catch (e) {
-              console.error("Error parsing SSE data:", e);
-            }
-          }
+      // Stop reading as soon as the caller aborts
+      const handleAbort = () => {
+        reader.cancel().catch(() => {});
+      };
+      signal?.addEventListener("abort", handleAbort);
+
+      // A frame may carry "event:"/"id:" lines; only the data line matters
+      const dispatchFrame = (frame) => {
+        const dataLine = frame
+          .split("\n")
+          .find((line) => line.startsWith("data: "));
+        if (!dataLine) return;
+
+        let data;
+        try {
+          data = JSON.parse(dataLine.slice(6));
+        } catch (e) {
+          console.error("Error parsing SSE data:", e);
+          return;
+        }
+
+        if (onChunk) {
+          onChunk(data);
         }
+      };
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const frames = buffer.split("\n\n");
+          buffer = frames.pop() || "";
+
+          frames.forEach(dispatchFrame);
+        }
+
+        // Flush a trailing frame that was not followed by a blank line
+        if (buffer.trim()) {
+          dispatchFrame(buffer);
+        }
+      } catch (error) {
+        reader.cancel().catch(() => {});
+        throw error;
+      } finally {
+        signal?.removeEventListener("abort", handleAbort);
+      }
+
+      // A cancelled reader reports done, surface it as an abort
+      if (signal?.aborted) {
+        throw new DOMException("Stream aborted", "AbortError");
       }
     } catch (error) {
-      console.error("Stream message error:", error);
+      if (!apiUtils.isAbortError(error)) {
+        console.error("Stream message error:", error);
+      }
       throw error;
     }
   },
@@ -166,10 +217,23 @@ export const healthAPI = {
     }
   },
 
+  // A degraded backend answers 503 with its per-dependency report, so that
+  // body is returned instead of thrown. Without a status of its own it
+  // reads as degraded; a 503 without a report (e.g. a proxy page) as down.
   checkDetailed: async () => {
     try {
-      const response = await apiClient.get("/api/health/detailed");
-      return response.data;
+      const response = await apiClient.get("/api/health/detailed", {
+        validateStatus: (status) =>
+          (status >= 200 && status < 300) || status === 503,
+      });
+
+      if (response.status !== 503) {
+        return response.data;
+      }
+
+      return response.data && typeof response.data === "object"
+        ? { status: "degraded", ...response.data }
+        : { status: "down" };
     } catch (error) {
       console.error("Detailed health check error:", error);
       throw error;
@@ -177,6 +241,19 @@ export const healthAPI = {
   },
 };
 
+// Answer feedback
+export const feedbackAPI = {
+  submitFeedback: async (feedback) => {
+    try {
+      const response = await apiClient.post("/api/feedback", feedback);
+      return response.data;
+    } catch (error) {
+      console.error("Submit feedback error:", error);
+      throw error;
+    }
+  },
+};
+
 // News ingestion endpoints (for admin features)
 export const ingestionAPI = {
   ingestNews: async (limit = 10) => {
@@ -241,6 +318,15 @@ export const apiUtils = {
     );
   },
 
+  // Check if error comes from an aborted request or stream
+  isAbortError: (error) => {
+    return (
+      error?.name === "AbortError" ||
+      error?.name === "CanceledError" ||
+      axios.isCancel(error)
+    );
+  },
+
   // Check if error is server error
   isServerError: (error) => {
     return (
@@ -249,6 +335,18 @@ export const apiUtils = {
       error?.message?.includes("503")
     );
   },
+
+  // Network and server errors may succeed on a later attempt
+  isRetriableError: (error) => {
+    return apiUtils.isNetworkError(error) || apiUtils.isServerError(error);
+  },
+
+  // Exponential backoff with jitter for the given retry (0-based). Half the
+  // delay is fixed, half random, so clients that failed together spread out.
+  getRetryDelay: (retry, baseDelay = 1000, maxDelay = 30000) => {
+    const delay = Math.min(baseDelay * 2 ** retry, maxDelay);
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  },
 };
 
 export default apiClient;
@@ -0,0 +1,170 @@
+import { APP_CONFIG, STORAGE_KEYS } from "../utils/constants";
+import { withChosenVariants } from "../utils/messageVariants";
+
+const DB_VERSION = 1;
+const STORE = "conversations";
+const UPDATED_INDEX = "updatedAt";
+
+// Conversations dropped at once when the quota is hit
+const QUOTA_EVICTION_COUNT = 10;
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Resolve once a transaction has committed
+const completion = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+const isQuotaError = (error) =>
+  error?.name === "QuotaExceededError" ||
+  error?.name === "NS_ERROR_DOM_QUOTA_REACHED";
+
+// Open (and on first use create) the database. Resolves to null where
+// IndexedDB is unavailable, e.g. some private browsing modes.
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(STORAGE_KEYS.CHAT_HISTORY, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, {
+          keyPath: "sessionId",
+        });
+        store.createIndex(UPDATED_INDEX, UPDATED_INDEX);
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("Local chat storage unavailable:", request.error);
+        resolve(null);
+      };
+      request.onblocked = () => resolve(null);
+    });
+  }
+
+  return dbPromise;
+};
+
+// Session IDs of stored conversations, least recently updated first
+const getSessionIdsByAge = async (db) => {
+  const transaction = db.transaction(STORE, "readonly");
+  return promisify(
+    transaction.objectStore(STORE).index(UPDATED_INDEX).getAllKeys()
+  );
+};
+
+// Delete the `count` least recently updated conversations, sparing `keepId`
+const evictOldest = async (db, count, keepId = null) => {
+  const sessionIds = (await getSessionIdsByAge(db))
+    .filter((sessionId) => sessionId !== keepId)
+    .slice(0, count);
+
+  if (sessionIds.length === 0) return 0;
+
+  const transaction = db.transaction(STORE, "readwrite");
+  const store = transaction.objectStore(STORE);
+  sessionIds.forEach((sessionId) => store.delete(sessionId));
+  await completion(transaction);
+
+  return sessionIds.length;
+};
+
+const writeConversation = async (db, record) => {
+  const transaction = db.transaction(STORE, "readwrite");
+  transaction.objectStore(STORE).put(record);
+  await completion(transaction);
+};
+
+// Conversations saved in this browser (IndexedDB), so they show instantly
+// on startup and stay readable offline. Every method fails soft: storage
+// problems are logged and the app carries on with server history.
+export const chatStorage = {
+  // Saved messages of a conversation, or null
+  loadConversation: async (sessionId) => {
+    const db = await openDatabase();
+    if (!db || !sessionId) return null;
+
+    try {
+      const transaction = db.transaction(STORE, "readonly");
+      const record = await promisify(
+        transaction.objectStore(STORE).get(sessionId)
+      );
+      return record?.messages || null;
+    } catch (error) {
+      console.warn(`Could not read saved conversation ${sessionId}:`, error);
+      return null;
+    }
+  },
+
+  // Save a conversation (regenerated answers as their chosen version) and
+  // keep at most MAX_HISTORY_ITEMS conversations. When the quota is full
+  // the oldest are evicted and the save retried once. Resolves to whether
+  // the conversation was saved.
+  saveConversation: async (sessionId, messages = []) => {
+    const db = await openDatabase();
+    if (!db || !sessionId) return false;
+
+    const record = {
+      sessionId,
+      messages: withChosenVariants(messages),
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      try {
+        await writeConversation(db, record);
+      } catch (error) {
+        if (!isQuotaError(error)) throw error;
+
+        const evicted = await evictOldest(db, QUOTA_EVICTION_COUNT, sessionId);
+        console.warn(
+          `Chat storage full, removed ${evicted} old conversation(s)`
+        );
+        await writeConversation(db, record);
+      }
+
+      const count = await promisify(
+        db.transaction(STORE, "readonly").objectStore(STORE).count()
+      );
+      if (count > APP_CONFIG.MAX_HISTORY_ITEMS) {
+        await evictOldest(db, count - APP_CONFIG.MAX_HISTORY_ITEMS, sessionId);
+      }
+
+      return true;
+    } catch (error) {
+      console.warn(`Could not save conversation ${sessionId}:`, error);
+      return false;
+    }
+  },
+
+  // Forget a conversation
+  removeConversation: async (sessionId) => {
+    const db = await openDatabase();
+    if (!db || !sessionId) return;
+
+    try {
+      const transaction = db.transaction(STORE, "readwrite");
+      transaction.objectStore(STORE).delete(sessionId);
+      await completion(transaction);
+    } catch (error) {
+      console.warn(`Could not remove saved conversation ${sessionId}:`, error);
+    }
+  },
+};
+
+export default chatStorage;
@@ -0,0 +1,200 @@
+import { APP_CONFIG } from "../utils/constants";
+
+// Just enough of IndexedDB for chatStorage: one store keyed by sessionId,
+// ordered by updatedAt, holding at most `quota` messages in total
+const createIndexedDB = ({ quota = Infinity, failWrites = false } = {}) => {
+  const records = new Map();
+  const later = (callback) => setTimeout(callback, 0);
+
+  const request = (getResult) => {
+    const pending = {};
+    later(() => {
+      pending.result = getResult();
+      pending.onsuccess?.();
+    });
+    return pending;
+  };
+
+  const objectStore = (transaction) => ({
+    get: (key) => request(() => records.get(key)),
+    count: () => request(() => records.size),
+    index: () => ({
+      getAllKeys: () =>
+        request(() =>
+          [...records.values()]
+            .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+            .map((record) => record.sessionId)
+        ),
+    }),
+    put: (record) =>
+      transaction.operations.push(() => {
+        if (failWrites) {
+          throw new DOMException("Disk error", "UnknownError");
+        }
+        const others = [...records.values()].filter(
+          (saved) => saved.sessionId !== record.sessionId
+        );
+        const stored = [...others, record].reduce(
+          (total, saved) => total + saved.messages.length,
+          0
+        );
+        if (stored > quota) {
+          throw new DOMException("Quota exceeded", "QuotaExceededError");
+        }
+        records.set(record.sessionId, record);
+      }),
+    delete: (key) => transaction.operations.push(() => records.delete(key)),
+  });
+
+  const db = {
+    createObjectStore: () => ({ createIndex: () => {} }),
+    transaction: () => {
+      const transaction = { operations: [] };
+      transaction.objectStore = () => objectStore(transaction);
+      later(() => {
+        try {
+          transaction.operations.forEach((operation) => operation());
+          transaction.oncomplete?.();
+        } catch (error) {
+          transaction.error = error;
+          transaction.onabort?.();
+        }
+      });
+      return transaction;
+    },
+  };
+
+  return {
+    records,
+    open: () => {
+      const pending = {};
+      later(() => {
+        pending.result = db;
+        pending.onupgradeneeded?.();
+        pending.onsuccess?.();
+      });
+      return pending;
+    },
+  };
+};
+
+// A fresh copy of the module (it keeps the database open) on `indexedDB`
+const loadStorage = (indexedDB) => {
+  global.indexedDB = indexedDB;
+  let chatStorage;
+  jest.isolateModules(() => {
+    chatStorage = require("./chatStorage").default;
+  });
+  return chatStorage;
+};
+
+const message = { id: "m1", type: "user", content: "Hello" };
+
+// One-message conversations saved earlier, oldest first
+const seed = (indexedDB, count) => {
+  for (let i = 0; i < count; i++) {
+    const sessionId = `old-${i}`;
+    indexedDB.records.set(sessionId, {
+      sessionId,
+      messages: [message],
+      updatedAt: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(),
+    });
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.indexedDB;
+  jest.restoreAllMocks();
+});
+
+describe("chatStorage", () => {
+  test("saves and loads a conversation with the chosen answers only", async () => {
+    const chatStorage = loadStorage(createIndexedDB());
+    const answer = {
+      id: "m2",
+      type: "assistant",
+      content: "Second",
+      variants: [{ content: "First" }, { content: "Second" }],
+      activeVariant: 1,
+    };
+
+    expect(await chatStorage.saveConversation("s1", [message, answer])).toBe(
+      true
+    );
+    expect(await chatStorage.loadConversation("s1")).toEqual([
+      message,
+      { id: "m2", type: "assistant", content: "Second", variantCount: 2 },
+    ]);
+    expect(await chatStorage.loadConversation("missing")).toBeNull();
+  });
+
+  test("removes a conversation", async () => {
+    const chatStorage = loadStorage(createIndexedDB());
+
+    await chatStorage.saveConversation("s1", [message]);
+    await chatStorage.removeConversation("s1");
+
+    expect(await chatStorage.loadConversation("s1")).toBeNull();
+  });
+
+  test("keeps only the most recently updated conversations", async () => {
+    const indexedDB = createIndexedDB();
+    seed(indexedDB, APP_CONFIG.MAX_HISTORY_ITEMS);
+    const chatStorage = loadStorage(indexedDB);
+
+    await chatStorage.saveConversation("s1", [message]);
+
+    expect(indexedDB.records.size).toBe(APP_CONFIG.MAX_HISTORY_ITEMS);
+    expect(indexedDB.records.has("old-0")).toBe(false);
+    expect(indexedDB.records.has("old-1")).toBe(true);
+    expect(indexedDB.records.has("s1")).toBe(true);
+  });
+
+  test("evicts the oldest conversations and retries when the quota is full", async () => {
+    const indexedDB = createIndexedDB({ quota: 12 });
+    seed(indexedDB, 12);
+    const chatStorage = loadStorage(indexedDB);
+
+    expect(await chatStorage.saveConversation("s1", [message])).toBe(true);
+
+    expect([...indexedDB.records.keys()].sort()).toEqual([
+      "old-10",
+      "old-11",
+      "s1",
+    ]);
+  });
+
+  test("never evicts the conversation being saved", async () => {
+    const indexedDB = createIndexedDB({ quota: 2 });
+    indexedDB.records.set("s1", {
+      sessionId: "s1",
+      messages: [],
+      updatedAt: "2025-12-31T00:00:00.000Z",
+    });
+    seed(indexedDB, 1);
+    const chatStorage = loadStorage(indexedDB);
+    const messages = [message, { ...message, id: "m2" }];
+
+    expect(await chatStorage.saveConversation("s1", messages)).toBe(true);
+    expect([...indexedDB.records.keys()]).toEqual(["s1"]);
+    expect(await chatStorage.loadConversation("s1")).toEqual(messages);
+  });
+
+  test("reports other write failures without throwing", async () => {
+    const chatStorage = loadStorage(createIndexedDB({ failWrites: true }));
+
+    expect(await chatStorage.saveConversation("s1", [message])).toBe(false);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test("does nothing where IndexedDB is unavailable", async () => {
+    const chatStorage = loadStorage(undefined);
+
+    expect(await chatStorage.saveConversation("s1", [message])).toBe(false);
+    expect(await chatStorage.loadConversation("s1")).toBeNull();
+  });
+});
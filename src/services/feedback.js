@@ -0,0 +1,163 @@
+import { feedbackAPI, apiUtils } from "./api";
+import {
+  STORAGE_KEYS,
+  FEEDBACK_STATUS,
+  FEEDBACK_CONFIG,
+} from "../utils/constants";
+
+const readStorage = (key, fallback) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return saved ?? fallback;
+  } catch (error) {
+    console.warn(`Ignoring corrupt ${key}:`, error);
+    return fallback;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+  }
+};
+
+// The user's votes, keyed by message ID, so controls show earlier ratings
+let votes = readStorage(STORAGE_KEYS.MESSAGE_FEEDBACK, {});
+
+// Payloads waiting for the backend, oldest first. One per message.
+let queue = readStorage(STORAGE_KEYS.FEEDBACK_QUEUE, []);
+
+let isFlushing = false;
+const listeners = new Set();
+
+const notify = (messageId) => {
+  listeners.forEach((listener) => listener(messageId));
+};
+
+// Keep only the most recent votes
+const saveVotes = () => {
+  const entries = Object.entries(votes);
+  if (entries.length > FEEDBACK_CONFIG.MAX_STORED_VOTES) {
+    entries.sort((a, b) => b[1].updatedAt.localeCompare(a[1].updatedAt));
+    votes = Object.fromEntries(
+      entries.slice(0, FEEDBACK_CONFIG.MAX_STORED_VOTES)
+    );
+  }
+  writeStorage(STORAGE_KEYS.MESSAGE_FEEDBACK, votes);
+};
+
+const setStatus = (messageId, status) => {
+  if (!votes[messageId]) return;
+  votes[messageId] = { ...votes[messageId], status };
+  saveVotes();
+  notify(messageId);
+};
+
+// A newer vote for the same message replaces the queued one
+const enqueue = (payload) => {
+  queue = [
+    ...queue.filter((item) => item.messageId !== payload.messageId),
+    payload,
+  ];
+  writeStorage(STORAGE_KEYS.FEEDBACK_QUEUE, queue);
+};
+
+const dequeue = (messageId) => {
+  queue = queue.filter((item) => item.messageId !== messageId);
+  writeStorage(STORAGE_KEYS.FEEDBACK_QUEUE, queue);
+};
+
+// Evicted votes count as latest so their queued payload is still cleared
+const isLatestVote = (messageId, updatedAt) =>
+  !votes[messageId] || votes[messageId].updatedAt === updatedAt;
+
+export const feedbackService = {
+  // The stored vote for a message (or undefined)
+  get: (messageId) => votes[messageId],
+
+  // Listen for vote changes; returns an unsubscribe function
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Record a vote and send it. Offline or on a transient error it is queued
+  // and sent by flush(); other errors mark it failed and are rethrown.
+  submit: async (payload) => {
+    const { messageId, rating, reason = null, comment = "" } = payload;
+    const updatedAt = new Date().toISOString();
+    const body = { ...payload, reason, comment, createdAt: updatedAt };
+
+    votes[messageId] = {
+      rating,
+      reason,
+      comment,
+      updatedAt,
+      status: FEEDBACK_STATUS.SENDING,
+    };
+    saveVotes();
+    notify(messageId);
+
+    if (!navigator.onLine) {
+      enqueue(body);
+      setStatus(messageId, FEEDBACK_STATUS.QUEUED);
+      return votes[messageId];
+    }
+
+    try {
+      await feedbackAPI.submitFeedback(body);
+
+      if (isLatestVote(messageId, updatedAt)) {
+        dequeue(messageId);
+        setStatus(messageId, FEEDBACK_STATUS.SENT);
+      }
+    } catch (error) {
+      if (!isLatestVote(messageId, updatedAt)) return votes[messageId];
+
+      if (!apiUtils.isRetriableError(error)) {
+        setStatus(messageId, FEEDBACK_STATUS.FAILED);
+        throw error;
+      }
+
+      enqueue(body);
+      setStatus(messageId, FEEDBACK_STATUS.QUEUED);
+    }
+
+    return votes[messageId];
+  },
+
+  // Send queued feedback in order, stopping at the first transient failure
+  flush: async () => {
+    if (isFlushing || queue.length === 0 || !navigator.onLine) return;
+
+    isFlushing = true;
+
+    try {
+      for (const payload of [...queue]) {
+        let status;
+
+        try {
+          await feedbackAPI.submitFeedback(payload);
+          status = FEEDBACK_STATUS.SENT;
+        } catch (error) {
+          if (apiUtils.isRetriableError(error)) break;
+
+          // The backend rejected it; retrying will not help
+          status = FEEDBACK_STATUS.FAILED;
+        }
+
+        // The user may have voted again while this one was in flight
+        if (isLatestVote(payload.messageId, payload.createdAt)) {
+          dequeue(payload.messageId);
+          setStatus(payload.messageId, status);
+        }
+      }
+    } finally {
+      isFlushing = false;
+    }
+  },
+};
+
+export default feedbackService;
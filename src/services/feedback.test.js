@@ -0,0 +1,125 @@
+import { STORAGE_KEYS, FEEDBACK_STATUS } from "../utils/constants";
+
+// Fresh copies of the service and the API module it calls
+const loadService = () => {
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      feedbackService: require("./feedback").default,
+      feedbackAPI: require("./api").feedbackAPI,
+    };
+  });
+  return modules;
+};
+
+const vote = (messageId, rating = "up") => ({
+  messageId,
+  sessionId: "s1",
+  rating,
+});
+
+const savedQueue = () =>
+  JSON.parse(localStorage.getItem(STORAGE_KEYS.FEEDBACK_QUEUE)) || [];
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("feedbackService", () => {
+  test("sends a vote straight away when online", async () => {
+    const { feedbackService, feedbackAPI } = loadService();
+    jest.spyOn(feedbackAPI, "submitFeedback").mockResolvedValue({});
+
+    const stored = await feedbackService.submit(vote("m1"));
+
+    expect(stored.status).toBe(FEEDBACK_STATUS.SENT);
+    expect(savedQueue()).toEqual([]);
+  });
+
+  test("queues votes while offline, keeping the latest per message", async () => {
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    const { feedbackService, feedbackAPI } = loadService();
+    const submitFeedback = jest.spyOn(feedbackAPI, "submitFeedback");
+
+    await feedbackService.submit(vote("m1", "up"));
+    await feedbackService.submit(vote("m2", "up"));
+    const stored = await feedbackService.submit(vote("m1", "down"));
+
+    expect(submitFeedback).not.toHaveBeenCalled();
+    expect(stored.status).toBe(FEEDBACK_STATUS.QUEUED);
+    expect(savedQueue().map((item) => [item.messageId, item.rating])).toEqual([
+      ["m2", "up"],
+      ["m1", "down"],
+    ]);
+  });
+
+  test("queues a vote the server could not take for now", async () => {
+    const { feedbackService, feedbackAPI } = loadService();
+    jest
+      .spyOn(feedbackAPI, "submitFeedback")
+      .mockRejectedValue(new Error("Request failed with status code 503"));
+
+    const stored = await feedbackService.submit(vote("m1"));
+
+    expect(stored.status).toBe(FEEDBACK_STATUS.QUEUED);
+    expect(savedQueue()).toHaveLength(1);
+  });
+
+  test("marks a rejected vote failed without queueing it", async () => {
+    const { feedbackService, feedbackAPI } = loadService();
+    jest
+      .spyOn(feedbackAPI, "submitFeedback")
+      .mockRejectedValue(new Error("Request failed with status code 400"));
+
+    await expect(feedbackService.submit(vote("m1"))).rejects.toThrow("400");
+    expect(feedbackService.get("m1").status).toBe(FEEDBACK_STATUS.FAILED);
+    expect(savedQueue()).toEqual([]);
+  });
+
+  test("flush sends queued votes in order and stops at a transient failure", async () => {
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    const { feedbackService, feedbackAPI } = loadService();
+    await feedbackService.submit(vote("m1"));
+    await feedbackService.submit(vote("m2"));
+    await feedbackService.submit(vote("m3"));
+
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+    const submitFeedback = jest
+      .spyOn(feedbackAPI, "submitFeedback")
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error("Network error"));
+    const listener = jest.fn();
+    feedbackService.subscribe(listener);
+
+    await feedbackService.flush();
+
+    expect(submitFeedback.mock.calls.map(([body]) => body.messageId)).toEqual([
+      "m1",
+      "m2",
+    ]);
+    expect(feedbackService.get("m1").status).toBe(FEEDBACK_STATUS.SENT);
+    expect(feedbackService.get("m2").status).toBe(FEEDBACK_STATUS.QUEUED);
+    expect(listener).toHaveBeenCalledWith("m1");
+    expect(savedQueue().map((item) => item.messageId)).toEqual(["m2", "m3"]);
+  });
+
+  test("flush picks up votes queued during an earlier visit", async () => {
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    await loadService().feedbackService.submit(vote("m1"));
+
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+    const { feedbackService, feedbackAPI } = loadService();
+    jest.spyOn(feedbackAPI, "submitFeedback").mockResolvedValue({});
+
+    await feedbackService.flush();
+
+    expect(feedbackService.get("m1").status).toBe(FEEDBACK_STATUS.SENT);
+    expect(savedQueue()).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+import { sessionAPI } from "./api";
+import chatStorage from "./chatStorage";
+import { historyToMessages } from "../utils/messageHistory";
+
+// In-memory cache of conversation messages, keyed by session ID, backed by
+// the conversations saved in this browser
+const cache = new Map();
+
+// Requests in flight, so concurrent loads share one fetch
+const pending = new Map();
+
+export const historyCache = {
+  // Get cached messages for a session (or undefined)
+  get: (sessionId) => cache.get(sessionId),
+
+  // Check if a session is cached
+  has: (sessionId) => cache.has(sessionId),
+
+  // Cache the messages of a session
+  set: (sessionId, messages) => {
+    if (!sessionId) return;
+    cache.set(sessionId, messages);
+  },
+
+  // Drop a session from the cache and local storage
+  remove: (sessionId) => {
+    cache.delete(sessionId);
+    chatStorage.removeConversation(sessionId);
+  },
+
+  // Get messages for a session: cached, saved locally, or fetched from the
+  // server history
+  load: async (sessionId) => {
+    if (cache.has(sessionId)) {
+      return cache.get(sessionId);
+    }
+
+    if (!pending.has(sessionId)) {
+      const request = chatStorage
+        .loadConversation(sessionId)
+        .then(
+          (saved) =>
+            saved ||
+            sessionAPI
+              .getSessionHistory(sessionId)
+              .then((history) => historyToMessages(history || [], sessionId))
+        )
+        .then((messages) => {
+          cache.set(sessionId, messages);
+          return messages;
+        })
+        .finally(() => {
+          pending.delete(sessionId);
+        });
+
+      pending.set(sessionId, request);
+    }
+
+    return pending.get(sessionId);
+  },
+
+  // Load several sessions, skipping any that fail
+  loadMany: async (sessionIds) => {
+    const results = await Promise.allSettled(
+      sessionIds.map((sessionId) => historyCache.load(sessionId))
+    );
+
+    return sessionIds.reduce((loaded, sessionId, index) => {
+      if (results[index].status === "fulfilled") {
+        loaded[sessionId] = results[index].value;
+      } else {
+        console.warn(
+          `Could not load history for ${sessionId}:`,
+          results[index].reason?.message
+        );
+      }
+      return loaded;
+    }, {});
+  },
+};
+
+export default historyCache;
@@ -0,0 +1,98 @@
+import { STORAGE_KEYS } from "../utils/constants";
+
+const readQueue = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.MESSAGE_OUTBOX));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn(`Ignoring corrupt ${STORAGE_KEYS.MESSAGE_OUTBOX}:`, error);
+    return [];
+  }
+};
+
+// Messages written while offline, oldest first:
+// { id, sessionId, content, queuedAt }
+let queue = readQueue();
+
+let isFlushing = false;
+
+// The open conversation: { sessionId, send, isReady }
+let sender = null;
+
+const saveQueue = (nextQueue) => {
+  queue = nextQueue;
+
+  try {
+    localStorage.setItem(STORAGE_KEYS.MESSAGE_OUTBOX, JSON.stringify(queue));
+  } catch (error) {
+    console.warn(`Could not save ${STORAGE_KEYS.MESSAGE_OUTBOX}:`, error);
+  }
+};
+
+// Chat messages waiting for a connection. They survive reloads and are
+// sent in order by the conversation they belong to once it is open and the
+// app is back online.
+export const outboxService = {
+  // Queued messages of a session, oldest first
+  list: (sessionId) => queue.filter((entry) => entry.sessionId === sessionId),
+
+  // Check if a message is still waiting to be sent
+  has: (messageId) => queue.some((entry) => entry.id === messageId),
+
+  add: (entry) => {
+    saveQueue([...queue, entry]);
+  },
+
+  // Change the text of a queued message
+  update: (messageId, content) => {
+    saveQueue(
+      queue.map((entry) =>
+        entry.id === messageId ? { ...entry, content } : entry
+      )
+    );
+  },
+
+  remove: (messageId) => {
+    saveQueue(queue.filter((entry) => entry.id !== messageId));
+  },
+
+  // Drop every queued message of a deleted conversation
+  removeSession: (sessionId) => {
+    saveQueue(queue.filter((entry) => entry.sessionId !== sessionId));
+  },
+
+  // Let the open conversation send its queued messages. `send(entry)`
+  // resolves once the reply is done; `isReady()` is false while another
+  // reply is in flight. Returns an unregister function.
+  register: (sessionId, { send, isReady }) => {
+    const registered = { sessionId, send, isReady };
+    sender = registered;
+
+    return () => {
+      if (sender === registered) sender = null;
+    };
+  },
+
+  // Send the open conversation's queued messages one at a time, stopping
+  // when the app goes offline or is busy replying
+  flush: async () => {
+    if (isFlushing) return;
+
+    isFlushing = true;
+
+    try {
+      while (sender && navigator.onLine && sender.isReady()) {
+        const { sessionId, send } = sender;
+        const entry = queue.find((item) => item.sessionId === sessionId);
+        if (!entry) break;
+
+        saveQueue(queue.filter((item) => item !== entry));
+        await send(entry);
+      }
+    } finally {
+      isFlushing = false;
+    }
+  },
+};
+
+export default outboxService;
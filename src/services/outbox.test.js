@@ -0,0 +1,120 @@
+import { STORAGE_KEYS } from "../utils/constants";
+
+// A fresh copy of the module, reading whatever the last one saved
+const loadOutbox = () => {
+  let outbox;
+  jest.isolateModules(() => {
+    outbox = require("./outbox").default;
+  });
+  return outbox;
+};
+
+const entry = (id, sessionId = "a") => ({
+  id,
+  sessionId,
+  content: `Message ${id}`,
+  queuedAt: "2026-01-05T09:00:00.000Z",
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("outboxService", () => {
+  test("sends the open conversation's messages in order, one at a time", async () => {
+    const outbox = loadOutbox();
+    const sent = [];
+    let inFlight = 0;
+
+    outbox.add(entry("a1"));
+    outbox.add(entry("b1", "b"));
+    outbox.add(entry("a2"));
+    outbox.register("a", {
+      send: async ({ id }) => {
+        inFlight++;
+        expect(inFlight).toBe(1);
+        await Promise.resolve();
+        sent.push(id);
+        inFlight--;
+      },
+      isReady: () => true,
+    });
+
+    await outbox.flush();
+
+    expect(sent).toEqual(["a1", "a2"]);
+    expect(outbox.list("a")).toEqual([]);
+    expect(outbox.list("b").map(({ id }) => id)).toEqual(["b1"]);
+  });
+
+  test("waits while offline and sends once the connection is back", async () => {
+    const outbox = loadOutbox();
+    const send = jest.fn().mockResolvedValue();
+
+    outbox.add(entry("a1"));
+    outbox.register("a", { send, isReady: () => true });
+
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    await outbox.flush();
+    expect(send).not.toHaveBeenCalled();
+    expect(outbox.has("a1")).toBe(true);
+
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+    await outbox.flush();
+    expect(send).toHaveBeenCalledWith(entry("a1"));
+    expect(outbox.has("a1")).toBe(false);
+  });
+
+  test("waits while a reply is in flight", async () => {
+    const outbox = loadOutbox();
+    const send = jest.fn().mockResolvedValue();
+
+    outbox.add(entry("a1"));
+    outbox.register("a", { send, isReady: () => false });
+    await outbox.flush();
+
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test("sends nothing once the conversation unregistered", async () => {
+    const outbox = loadOutbox();
+    const send = jest.fn().mockResolvedValue();
+
+    outbox.add(entry("a1"));
+    const unregister = outbox.register("a", { send, isReady: () => true });
+    unregister();
+    await outbox.flush();
+
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test("keeps queued messages across reloads", () => {
+    loadOutbox().add(entry("a1"));
+
+    expect(loadOutbox().list("a")).toEqual([entry("a1")]);
+    expect(
+      JSON.parse(localStorage.getItem(STORAGE_KEYS.MESSAGE_OUTBOX))
+    ).toHaveLength(1);
+  });
+
+  test("edits and removes queued messages", () => {
+    const outbox = loadOutbox();
+
+    outbox.add(entry("a1"));
+    outbox.add(entry("a2"));
+    outbox.add(entry("b1", "b"));
+    outbox.update("a1", "Edited");
+    outbox.remove("a2");
+
+    expect(outbox.list("a")).toEqual([{ ...entry("a1"), content: "Edited" }]);
+
+    outbox.removeSession("a");
+    expect(outbox.list("a")).toEqual([]);
+    expect(outbox.has("b1")).toBe(true);
+  });
+});
@@ -0,0 +1,281 @@
+import { chatAPI, apiUtils } from "./api";
+import websocketService from "./websocket";
+import {
+  TRANSPORTS,
+  TRANSPORT_PREFERENCES,
+  FEATURES,
+  CHAT_CONFIG,
+  STREAM_EVENTS,
+  ERROR_MESSAGES,
+} from "../utils/constants";
+
+class TransportManager {
+  constructor() {
+    this.lastTransport = null;
+    // Request IDs of the WebSocket replies in flight
+    this.socketRequests = new Set();
+  }
+
+  // Transports usable right now, best first. A preferred transport moves to
+  // the front when it is available; the rest remain as fallbacks.
+  getAvailableTransports(preferred = TRANSPORT_PREFERENCES.AUTO) {
+    const transports = [];
+
+    if (FEATURES.WEBSOCKET_ENABLED && websocketService.isSocketConnected()) {
+      transports.push(TRANSPORTS.WEBSOCKET);
+    }
+
+    if (FEATURES.STREAMING_ENABLED) {
+      transports.push(TRANSPORTS.SSE);
+    }
+
+    transports.push(TRANSPORTS.HTTP);
+
+    // A socket with slow or missed heartbeats is only the last resort
+    if (
+      transports[0] === TRANSPORTS.WEBSOCKET &&
+      websocketService.isDegraded()
+    ) {
+      transports.push(transports.shift());
+    }
+
+    if (preferred !== TRANSPORT_PREFERENCES.AUTO) {
+      const index = transports.indexOf(preferred);
+      if (index > 0) {
+        transports.splice(index, 1);
+        transports.unshift(preferred);
+      }
+    }
+
+    return transports;
+  }
+
+  // Send a message over the best transport, falling back to the next one
+  // if it fails. Resolves with { content, context, timestamp, source }.
+  // Aborting the signal stops the active transport without falling back.
+  async send(
+    message,
+    sessionId,
+    {
+      onChunk = null,
+      onFallback = null,
+      signal = null,
+      preferredTransport = TRANSPORT_PREFERENCES.AUTO,
+    } = {}
+  ) {
+    const transports = this.getAvailableTransports(preferredTransport);
+    let lastError = null;
+
+    for (let i = 0; i < transports.length; i++) {
+      const transport = transports[i];
+
+      try {
+        const result = await this.sendVia(
+          transport,
+          message,
+          sessionId,
+          onChunk,
+          signal
+        );
+        this.lastTransport = transport;
+        return { ...result, source: transport };
+      } catch (error) {
+        if (apiUtils.isAbortError(error) || signal?.aborted) {
+          error.transport = transport;
+          throw error;
+        }
+
+        console.warn(`${transport} transport failed:`, error.message);
+        lastError = error;
+
+        const nextTransport = transports[i + 1];
+        if (nextTransport && onFallback) {
+          onFallback(transport, nextTransport, error);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Dispatch to a single transport
+  sendVia(transport, message, sessionId, onChunk, signal) {
+    switch (transport) {
+      case TRANSPORTS.WEBSOCKET:
+        return this.sendViaWebSocket(message, sessionId, onChunk, signal);
+      case TRANSPORTS.SSE:
+        return this.sendViaSSE(message, sessionId, onChunk, signal);
+      case TRANSPORTS.HTTP:
+        return this.sendViaHTTP(message, sessionId, signal);
+      default:
+        return Promise.reject(new Error(`Unknown transport: ${transport}`));
+    }
+  }
+
+  // WebSocket: stream message_chunk events until message_complete. The
+  // socket is shared, so events for other requests (a stopped reply still
+  // draining, a concurrent send) are ignored by their echoed request ID.
+  // Events without one, from a backend that does not echo it, are taken
+  // as long as this is the only request in flight.
+  sendViaWebSocket(message, sessionId, onChunk, signal) {
+    return new Promise((resolve, reject) => {
+      let content = "";
+      let timeoutId = null;
+      let requestId = null;
+
+      const isOurs = (data) => {
+        if (!requestId) return false;
+        if (data?.requestId) return data.requestId === requestId;
+        return this.socketRequests.size === 1;
+      };
+
+      const cleanup = () => {
+        this.socketRequests.delete(requestId);
+        clearTimeout(timeoutId);
+        signal?.removeEventListener("abort", handleAbort);
+        websocketService.off("message_chunk", handleChunk);
+        websocketService.off("message_complete", handleComplete);
+        websocketService.off("error", handleError);
+        websocketService.off("connection_status", handleConnectionStatus);
+      };
+
+      const fail = (error) => {
+        cleanup();
+        reject(error);
+      };
+
+      // Restart the inactivity timer on every chunk
+      const resetTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+          fail(new Error(ERROR_MESSAGES.TIMEOUT));
+        }, CHAT_CONFIG.STREAM_TIMEOUT);
+      };
+
+      const finish = (data) => {
+        cleanup();
+        resolve({
+          content: data.fullResponse || content,
+          context: data.context || data.metadata?.context || [],
+          timestamp: data.timestamp || new Date().toISOString(),
+        });
+      };
+
+      const handleChunk = (data) => {
+        if (!isOurs(data)) return;
+
+        resetTimeout();
+        content += data.chunk || "";
+        if (onChunk) {
+          onChunk(content);
+        }
+
+        if (data.isComplete) {
+          finish(data);
+        }
+      };
+
+      const handleComplete = (data) => {
+        if (!isOurs(data)) return;
+        finish(data);
+      };
+
+      // Errors without a request ID concern the whole connection
+      const handleError = (error) => {
+        if (error?.requestId && !isOurs(error)) return;
+        fail(new Error(error?.message || ERROR_MESSAGES.WEBSOCKET_ERROR));
+      };
+
+      const handleConnectionStatus = ({ connected }) => {
+        if (!connected) {
+          fail(new Error(ERROR_MESSAGES.WEBSOCKET_ERROR));
+        }
+      };
+
+      // Sockets have no request to cancel, so tell the server to stop
+      const handleAbort = () => {
+        websocketService.stopGeneration(sessionId, requestId);
+        fail(new DOMException("Generation stopped", "AbortError"));
+      };
+
+      if (signal?.aborted) {
+        handleAbort();
+        return;
+      }
+
+      websocketService.on("message_chunk", handleChunk);
+      websocketService.on("message_complete", handleComplete);
+      websocketService.on("error", handleError);
+      websocketService.on("connection_status", handleConnectionStatus);
+      signal?.addEventListener("abort", handleAbort);
+      resetTimeout();
+
+      try {
+        requestId = websocketService.sendMessage(message, sessionId);
+        this.socketRequests.add(requestId);
+      } catch (error) {
+        fail(error);
+      }
+    });
+  }
+
+  // Server-Sent Events: accumulate chunk frames until the done frame
+  async sendViaSSE(message, sessionId, onChunk, signal) {
+    let content = "";
+    let result = null;
+
+    const handleFrame = (data) => {
+      if (data.type === STREAM_EVENTS.ERROR || data.error) {
+        throw new Error(data.message || data.error || ERROR_MESSAGES.SERVER);
+      }
+
+      if (data.type === STREAM_EVENTS.DONE || data.done) {
+        result = {
+          content: data.fullResponse || content,
+          context: data.context || [],
+          timestamp: data.timestamp || new Date().toISOString(),
+        };
+        return;
+      }
+
+      content += data.chunk ?? data.content ?? "";
+      if (onChunk) {
+        onChunk(content);
+      }
+    };
+
+    await chatAPI.streamMessage(message, sessionId, handleFrame, { signal });
+
+    // Nothing arrived (e.g. a response that is not an event stream), so let
+    // the next transport answer instead of showing a blank reply
+    if (!result && !content) {
+      throw new Error("Stream closed without a response");
+    }
+
+    // Stream closed without a done frame - keep what we received
+    return (
+      result || {
+        content,
+        context: [],
+        timestamp: new Date().toISOString(),
+      }
+    );
+  }
+
+  // Plain HTTP: single request/response
+  async sendViaHTTP(message, sessionId, signal) {
+    const response = await chatAPI.sendMessage(message, sessionId, {
+      signal,
+    });
+
+    return {
+      content: response.data.botResponse,
+      context: response.data.context || [],
+      timestamp: response.data.timestamp || new Date().toISOString(),
+    };
+  }
+}
+
+// Create and export singleton instance
+const transportManager = new TransportManager();
+export default transportManager;
@@ -0,0 +1,233 @@
+import transportManager from "./transport";
+import websocketService from "./websocket";
+import { chatAPI } from "./api";
+import {
+  FEATURES,
+  TRANSPORTS,
+  TRANSPORT_PREFERENCES,
+} from "../utils/constants";
+
+const initialFeatures = { ...FEATURES };
+
+const httpReply = {
+  data: {
+    botResponse: "From HTTP",
+    context: [],
+    timestamp: "2026-01-05T09:00:00.000Z",
+  },
+};
+
+// Feed SSE frames to the handler, then close the stream
+const streamFrames =
+  (...frames) =>
+  async (message, sessionId, onFrame) => {
+    frames.forEach((frame) => onFrame(frame));
+  };
+
+beforeEach(() => {
+  FEATURES.WEBSOCKET_ENABLED = true;
+  FEATURES.STREAMING_ENABLED = true;
+  jest.spyOn(websocketService, "isSocketConnected").mockReturnValue(true);
+  jest.spyOn(websocketService, "isDegraded").mockReturnValue(false);
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  Object.assign(FEATURES, initialFeatures);
+  jest.restoreAllMocks();
+});
+
+describe("getAvailableTransports", () => {
+  test("prefers WebSocket, then SSE, then HTTP", () => {
+    expect(transportManager.getAvailableTransports()).toEqual([
+      TRANSPORTS.WEBSOCKET,
+      TRANSPORTS.SSE,
+      TRANSPORTS.HTTP,
+    ]);
+  });
+
+  test("leaves out disabled or disconnected transports", () => {
+    FEATURES.STREAMING_ENABLED = false;
+    websocketService.isSocketConnected.mockReturnValue(false);
+
+    expect(transportManager.getAvailableTransports()).toEqual([
+      TRANSPORTS.HTTP,
+    ]);
+  });
+
+  test("moves a degraded socket to the end", () => {
+    websocketService.isDegraded.mockReturnValue(true);
+
+    expect(transportManager.getAvailableTransports()).toEqual([
+      TRANSPORTS.SSE,
+      TRANSPORTS.HTTP,
+      TRANSPORTS.WEBSOCKET,
+    ]);
+  });
+
+  test("puts the preferred transport first and keeps the rest", () => {
+    expect(
+      transportManager.getAvailableTransports(TRANSPORT_PREFERENCES.HTTP)
+    ).toEqual([TRANSPORTS.HTTP, TRANSPORTS.WEBSOCKET, TRANSPORTS.SSE]);
+  });
+});
+
+describe("send", () => {
+  beforeEach(() => {
+    FEATURES.WEBSOCKET_ENABLED = false;
+  });
+
+  test("streams SSE chunks until the done frame", async () => {
+    jest
+      .spyOn(chatAPI, "streamMessage")
+      .mockImplementation(
+        streamFrames(
+          { chunk: "Hel" },
+          { chunk: "lo" },
+          { type: "done", context: [{ id: 1 }] }
+        )
+      );
+    const onChunk = jest.fn();
+
+    const result = await transportManager.send("Hi", "s1", { onChunk });
+
+    expect(onChunk.mock.calls).toEqual([["Hel"], ["Hello"]]);
+    expect(result).toMatchObject({
+      content: "Hello",
+      context: [{ id: 1 }],
+      source: TRANSPORTS.SSE,
+    });
+  });
+
+  test("falls back to HTTP when SSE fails", async () => {
+    jest
+      .spyOn(chatAPI, "streamMessage")
+      .mockRejectedValue(new Error("HTTP error! status: 502"));
+    jest.spyOn(chatAPI, "sendMessage").mockResolvedValue(httpReply);
+    const onFallback = jest.fn();
+
+    const result = await transportManager.send("Hi", "s1", { onFallback });
+
+    expect(onFallback).toHaveBeenCalledWith(
+      TRANSPORTS.SSE,
+      TRANSPORTS.HTTP,
+      expect.any(Error)
+    );
+    expect(result).toMatchObject({
+      content: "From HTTP",
+      source: TRANSPORTS.HTTP,
+    });
+  });
+
+  test("falls back to HTTP when the stream closes without a response", async () => {
+    jest.spyOn(chatAPI, "streamMessage").mockImplementation(streamFrames());
+    jest.spyOn(chatAPI, "sendMessage").mockResolvedValue(httpReply);
+
+    const result = await transportManager.send("Hi", "s1");
+
+    expect(result.source).toBe(TRANSPORTS.HTTP);
+  });
+
+  test("rejects with the last error when every transport fails", async () => {
+    jest
+      .spyOn(chatAPI, "streamMessage")
+      .mockRejectedValue(new Error("stream failed"));
+    jest
+      .spyOn(chatAPI, "sendMessage")
+      .mockRejectedValue(new Error("http failed"));
+
+    await expect(transportManager.send("Hi", "s1")).rejects.toThrow(
+      "http failed"
+    );
+  });
+
+  test("stops without falling back when aborted", async () => {
+    const controller = new AbortController();
+    jest
+      .spyOn(chatAPI, "streamMessage")
+      .mockImplementation(async (message, sessionId, onFrame) => {
+        onFrame({ chunk: "Part" });
+        controller.abort();
+        throw new DOMException("Stream aborted", "AbortError");
+      });
+    const sendMessage = jest.spyOn(chatAPI, "sendMessage");
+
+    const error = await transportManager
+      .send("Hi", "s1", { signal: controller.signal })
+      .catch((caught) => caught);
+
+    expect(error.name).toBe("AbortError");
+    expect(error.transport).toBe(TRANSPORTS.SSE);
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe("send over WebSocket", () => {
+  beforeEach(() => {
+    jest.spyOn(websocketService, "sendMessage").mockReturnValue("req-1");
+    jest.spyOn(websocketService, "stopGeneration").mockImplementation(() => {});
+  });
+
+  test("only takes events for its own request", async () => {
+    const onChunk = jest.fn();
+    const reply = transportManager.send("Hi", "s1", { onChunk });
+
+    websocketService.emit("message_chunk", {
+      requestId: "req-0",
+      chunk: "Old",
+    });
+    websocketService.emit("message_chunk", {
+      requestId: "req-1",
+      chunk: "Hel",
+    });
+    websocketService.emit("message_chunk", { requestId: "req-1", chunk: "lo" });
+    websocketService.emit("message_complete", { requestId: "req-0" });
+    websocketService.emit("message_complete", { requestId: "req-1" });
+
+    await expect(reply).resolves.toMatchObject({
+      content: "Hello",
+      source: TRANSPORTS.WEBSOCKET,
+    });
+    expect(onChunk).toHaveBeenCalledTimes(2);
+  });
+
+  test("accepts events without a request ID while it is the only request", async () => {
+    const reply = transportManager.send("Hi", "s1");
+
+    websocketService.emit("message_chunk", { chunk: "Hello" });
+    websocketService.emit("message_complete", {});
+
+    await expect(reply).resolves.toMatchObject({ content: "Hello" });
+  });
+
+  test("falls back when the socket reports an error for the request", async () => {
+    jest
+      .spyOn(chatAPI, "streamMessage")
+      .mockImplementation(
+        streamFrames({ chunk: "From SSE" }, { type: "done" })
+      );
+    const reply = transportManager.send("Hi", "s1");
+
+    websocketService.emit("error", { requestId: "req-1", message: "boom" });
+
+    await expect(reply).resolves.toMatchObject({
+      content: "From SSE",
+      source: TRANSPORTS.SSE,
+    });
+  });
+
+  test("tells the server to stop the request when aborted", async () => {
+    const controller = new AbortController();
+    const reply = transportManager.send("Hi", "s1", {
+      signal: controller.signal,
+    });
+
+    controller.abort();
+
+    await expect(reply).rejects.toMatchObject({
+      name: "AbortError",
+      transport: TRANSPORTS.WEBSOCKET,
+    });
+    expect(websocketService.stopGeneration).toHaveBeenCalledWith("s1", "req-1");
+  });
+});
@@ -1,29 +1,48 @@
 import { io } from "socket.io-client";
+import { apiUtils } from "./api";
+import { CONNECTION_STATES, UI_CONFIG, CHAT_CONFIG } from "../utils/constants";
 
 class WebSocketService {
   constructor() {
     this.socket = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+    this.maxReconnectAttempts = UI_CONFIG.MAX_RECONNECT_ATTEMPTS;
+    this.maxReconnectDelay = 5000;
     this.eventListeners = new Map();
     this.currentSessionId = null;
+
+    // Connection state machine, see setState()
+    this.state = CONNECTION_STATES.DISCONNECTED;
+    this.reason = null;
+    this.nextRetryAt = null;
+    this.reconnectTimer = null;
+    this.hasConnected = false;
+
+    // Heartbeat, see startHeartbeat()
+    this.heartbeatTimer = null;
+    this.latency = null;
+    this.missedPings = 0;
+    this.heartbeatAcked = false;
   }
 
-  // Connect to WebSocket server
+  // Connect to WebSocket server. The socket is shared, so later calls only
+  // switch the session it has joined.
   connect(sessionId = null) {
-    const wsUrl = process.env.REACT_APP_WS_URL || "http://localhost:5000";
-
-    this.socket = io(wsUrl, {
-      transports: ["websocket", "polling"],
-      autoConnect: true,
-      reconnection: true,
-      reconnectionDelay: 1000,
-      reconnectionDelayMax: 5000,
-      maxReconnectionAttempts: this.maxReconnectAttempts,
-    });
+    if (!this.socket) {
+      const wsUrl = process.env.REACT_APP_WS_URL || "http://localhost:5000";
+
+      // Reconnection is scheduled here rather than by socket.io so the UI
+      // can show the attempt number and when the next one happens
+      this.socket = io(wsUrl, {
+        transports: ["websocket", "polling"],
+        autoConnect: false,
+        reconnection: false,
+      });
 
-    this.setupEventListeners();
+      this.setupEventListeners();
+      this.openSocket();
+    }
 
     if (sessionId) {
       this.joinSession(sessionId);
@@ -32,15 +51,159 @@ class WebSocketService {
     return this.socket;
   }
 
+  // Move the connection state machine:
+  //   DISCONNECTED -> CONNECTING -> CONNECTED
+  //   CONNECTED -> RECONNECTING (attempt n, waiting until nextRetryAt)
+  //   RECONNECTING -> CONNECTED, or ERROR once attempts run out
+  //   any -> DISCONNECTED with reason "offline" while the browser is offline
+  // Listeners of "connection_state" get getConnectionStatus(), also after
+  // every heartbeat.
+  setState(state, { reason = null, nextRetryAt = null } = {}) {
+    this.state = state;
+    this.reason = reason;
+    this.nextRetryAt = nextRetryAt;
+    this.emit("connection_state", this.getConnectionStatus());
+  }
+
+  openSocket() {
+    if (!this.socket || this.socket.connected) return;
+
+    this.setState(
+      this.reconnectAttempts > 0
+        ? CONNECTION_STATES.RECONNECTING
+        : CONNECTION_STATES.CONNECTING
+    );
+    this.socket.connect();
+  }
+
+  // Ping the server every PING_INTERVAL and time the acknowledgement.
+  // socket.io's own ping only notices a dead transport much later, so a
+  // half-open connection would otherwise go unnoticed until a send fails.
+  // After MAX_MISSED_PINGS unanswered pings the socket is reconnected.
+  // Misses only count once the server has acknowledged a heartbeat, so a
+  // backend without a handler is never taken for a stale connection.
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(
+      () => this.sendHeartbeat(),
+      CHAT_CONFIG.PING_INTERVAL
+    );
+    this.sendHeartbeat();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.latency = null;
+    this.missedPings = 0;
+  }
+
+  sendHeartbeat() {
+    const socket = this.socket;
+    if (!socket?.connected) return;
+
+    const sentAt = Date.now();
+
+    socket
+      .timeout(CHAT_CONFIG.PING_TIMEOUT)
+      .emit("heartbeat", { sentAt }, (error) => {
+        // A reply from a socket we have since replaced
+        if (socket !== this.socket || !socket.connected) return;
+
+        if (error && !this.heartbeatAcked) return;
+
+        if (error) {
+          this.missedPings++;
+          console.warn(
+            `WebSocket heartbeat missed (${this.missedPings}/${CHAT_CONFIG.MAX_MISSED_PINGS})`
+          );
+
+          if (this.missedPings >= CHAT_CONFIG.MAX_MISSED_PINGS) {
+            this.forceReconnect("heartbeat timeout");
+            return;
+          }
+        } else {
+          this.heartbeatAcked = true;
+          this.missedPings = 0;
+          this.latency = Date.now() - sentAt;
+        }
+
+        this.emit("connection_state", this.getConnectionStatus());
+      });
+  }
+
+  // Slow or missing heartbeats: messages are better off over SSE or HTTP
+  isDegraded() {
+    return (
+      this.missedPings > 0 ||
+      (this.latency !== null && this.latency > CHAT_CONFIG.DEGRADED_LATENCY)
+    );
+  }
+
+  // Drop a connection that stopped answering and start over
+  forceReconnect(reason) {
+    if (!this.socket) return;
+
+    console.warn("WebSocket connection stale, reconnecting:", reason);
+    this.socket.disconnect();
+    this.scheduleReconnect(reason);
+  }
+
+  // Try again after a backoff delay, or give up once attempts run out
+  scheduleReconnect(reason) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (!navigator.onLine) {
+      this.setState(CONNECTION_STATES.DISCONNECTED, { reason: "offline" });
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      this.setState(CONNECTION_STATES.ERROR, { reason });
+      this.emit("connection_failed", {
+        error: "Max reconnection attempts reached",
+      });
+      return;
+    }
+
+    const delay = apiUtils.getRetryDelay(
+      this.reconnectAttempts,
+      UI_CONFIG.RECONNECT_DELAY,
+      this.maxReconnectDelay
+    );
+
+    this.reconnectAttempts++;
+    this.setState(CONNECTION_STATES.RECONNECTING, {
+      reason,
+      nextRetryAt: Date.now() + delay,
+    });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, delay);
+  }
+
   // Setup default event listeners
   setupEventListeners() {
     if (!this.socket) return;
 
     this.socket.on("connect", () => {
       console.log("WebSocket connected:", this.socket.id);
+      const attempts = this.reconnectAttempts;
+      const isReconnect = this.hasConnected;
+
       this.isConnected = true;
+      this.hasConnected = true;
       this.reconnectAttempts = 0;
+      this.setState(CONNECTION_STATES.CONNECTED);
       this.emit("connection_status", { connected: true });
+      this.startHeartbeat();
+
+      if (isReconnect) {
+        console.log("WebSocket reconnected after", attempts, "attempts");
+        this.emit("reconnected", { attempts });
+      }
 
       // Rejoin session if we have one
       if (this.currentSessionId) {
@@ -51,30 +214,28 @@ class WebSocketService {
     this.socket.on("disconnect", (reason) => {
       console.log("WebSocket disconnected:", reason);
       this.isConnected = false;
+      this.stopHeartbeat();
       this.emit("connection_status", { connected: false, reason });
+
+      // We hung up on purpose
+      if (reason === "io client disconnect") {
+        this.setState(CONNECTION_STATES.DISCONNECTED, { reason });
+        return;
+      }
+
+      this.scheduleReconnect(reason);
     });
 
     this.socket.on("connect_error", (error) => {
       console.error("WebSocket connection error:", error);
       this.isConnected = false;
-      this.reconnectAttempts++;
 
       this.emit("connection_error", {
         error: error.message,
         attempts: this.reconnectAttempts,
       });
 
-      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-        this.emit("connection_failed", {
-          error: "Max reconnection attempts reached",
-        });
-      }
-    });
-
-    this.socket.on("reconnect", (attemptNumber) => {
-      console.log("WebSocket reconnected after", attemptNumber, "attempts");
-      this.isConnected = true;
-      this.emit("reconnected", { attempts: attemptNumber });
+      this.scheduleReconnect(error.message);
     });
 
     // Chat-specific events
@@ -95,31 +256,48 @@ class WebSocketService {
     });
   }
 
-  // Join a chat session
+  // Join a chat session. Before the socket connects the session is only
+  // remembered, and joined on connect.
   joinSession(sessionId) {
+    this.currentSessionId = sessionId;
+
     if (!this.socket || !this.isConnected) {
-      console.warn("Cannot join session: WebSocket not connected");
+      console.warn("Cannot join session yet: WebSocket not connected");
       return;
     }
 
-    this.currentSessionId = sessionId;
     this.socket.emit("join_session", sessionId);
     console.log("Joined session:", sessionId);
   }
 
-  // Send a chat message
+  // Send a chat message. Returns its request ID, which the server echoes
+  // on every message_chunk, message_complete and error event of the reply.
   sendMessage(message, sessionId) {
     if (!this.socket || !this.isConnected) {
       throw new Error("WebSocket not connected");
     }
 
+    const requestId = apiUtils.generateRequestId();
     const messageData = {
+      requestId,
       sessionId: sessionId || this.currentSessionId,
       message,
       timestamp: new Date().toISOString(),
     };
 
     this.socket.emit("send_message", messageData);
+    return requestId;
+  }
+
+  // Ask the server to stop generating the reply to `requestId`
+  stopGeneration(sessionId, requestId = null) {
+    if (!this.socket || !this.isConnected) return;
+
+    this.socket.emit("stop_generation", {
+      requestId,
+      sessionId: sessionId || this.currentSessionId,
+      timestamp: new Date().toISOString(),
+    });
   }
 
   // Generic event listener registration
@@ -161,17 +339,31 @@ class WebSocketService {
       socketId: this.socket?.id,
       sessionId: this.currentSessionId,
       reconnectAttempts: this.reconnectAttempts,
+      maxReconnectAttempts: this.maxReconnectAttempts,
+      state: this.state,
+      reason: this.reason,
+      nextRetryAt: this.nextRetryAt,
+      latency: this.latency,
+      isDegraded: this.isDegraded(),
     };
   }
 
   // Disconnect WebSocket
   disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeat();
+
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
     }
     this.isConnected = false;
+    this.hasConnected = false;
+    this.heartbeatAcked = false;
+    this.reconnectAttempts = 0;
     this.currentSessionId = null;
+    this.setState(CONNECTION_STATES.DISCONNECTED);
     this.eventListeners.clear();
   }
 
@@ -180,11 +372,38 @@ class WebSocketService {
     return this.isConnected && this.socket?.connected;
   }
 
-  // Reconnect manually
+  // Stop retrying while the browser is offline; attempts would only fail
+  goOffline() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.setState(CONNECTION_STATES.DISCONNECTED, { reason: "offline" });
+  }
+
+  // Reconnect now, with a fresh set of attempts (manual retry, back
+  // online). A healthy connection is kept; a degraded one is replaced.
+  // Without a socket only the offline state is cleared.
   reconnect() {
-    if (this.socket) {
-      this.socket.connect();
+    if (!this.socket) {
+      if (this.reason === "offline") {
+        this.setState(CONNECTION_STATES.DISCONNECTED);
+      }
+      return;
     }
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+
+    if (this.socket.connected) {
+      if (!this.isDegraded()) {
+        this.setState(CONNECTION_STATES.CONNECTED);
+        return;
+      }
+
+      this.socket.disconnect();
+    }
+
+    this.openSocket();
   }
 }
 
@@ -0,0 +1,248 @@
+import { io } from "socket.io-client";
+import websocketService from "./websocket";
+import { CONNECTION_STATES, UI_CONFIG, CHAT_CONFIG } from "../utils/constants";
+
+jest.mock("socket.io-client", () => ({ io: jest.fn() }));
+
+// A socket.io client double. The test plays the server: connect(),
+// drop() and fail() fire the events socket.io would.
+const createSocket = () => {
+  const handlers = {};
+
+  const socket = {
+    id: "socket-1",
+    connected: false,
+    heartbeats: [],
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    connect: jest.fn(),
+    emit: jest.fn(),
+    disconnect: jest.fn(() => {
+      if (!socket.connected) return;
+      socket.connected = false;
+      handlers.disconnect("io client disconnect");
+    }),
+    timeout: () => ({
+      emit: (event, data, callback) => socket.heartbeats.push(callback),
+    }),
+
+    serverConnect: () => {
+      socket.connected = true;
+      handlers.connect();
+    },
+    drop: (reason = "transport close") => {
+      socket.connected = false;
+      handlers.disconnect(reason);
+    },
+    fail: (message = "xhr poll error") => {
+      handlers.connect_error(new Error(message));
+    },
+  };
+
+  return socket;
+};
+
+let socket;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  socket = createSocket();
+  io.mockImplementation(() => socket);
+  jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  websocketService.disconnect();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const state = () => websocketService.getConnectionStatus().state;
+
+describe("connection state machine", () => {
+  test("connects and joins the session", () => {
+    const onStatus = jest.fn();
+    websocketService.connect("s1");
+    websocketService.on("connection_status", onStatus);
+
+    expect(state()).toBe(CONNECTION_STATES.CONNECTING);
+    expect(socket.connect).toHaveBeenCalled();
+
+    socket.serverConnect();
+
+    expect(state()).toBe(CONNECTION_STATES.CONNECTED);
+    expect(onStatus).toHaveBeenCalledWith({ connected: true });
+    expect(socket.emit).toHaveBeenCalledWith("join_session", "s1");
+  });
+
+  test("reconnects with backoff after the connection drops", () => {
+    const onReconnected = jest.fn();
+    websocketService.connect("s1");
+    websocketService.on("reconnected", onReconnected);
+    socket.serverConnect();
+
+    socket.drop();
+
+    const status = websocketService.getConnectionStatus();
+    expect(status.state).toBe(CONNECTION_STATES.RECONNECTING);
+    expect(status.reconnectAttempts).toBe(1);
+    expect(status.nextRetryAt).toBeGreaterThan(Date.now());
+    expect(socket.connect).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(UI_CONFIG.RECONNECT_DELAY);
+    expect(socket.connect).toHaveBeenCalledTimes(2);
+
+    socket.serverConnect();
+    expect(state()).toBe(CONNECTION_STATES.CONNECTED);
+    expect(websocketService.getConnectionStatus().reconnectAttempts).toBe(0);
+    expect(onReconnected).toHaveBeenCalledWith({ attempts: 1 });
+  });
+
+  test("gives up once every attempt failed", () => {
+    const onFailed = jest.fn();
+    websocketService.connect("s1");
+    websocketService.on("connection_failed", onFailed);
+
+    for (let i = 0; i <= UI_CONFIG.MAX_RECONNECT_ATTEMPTS; i++) {
+      socket.fail();
+      jest.runOnlyPendingTimers();
+    }
+
+    expect(state()).toBe(CONNECTION_STATES.ERROR);
+    expect(onFailed).toHaveBeenCalledTimes(1);
+    expect(socket.connect).toHaveBeenCalledTimes(
+      UI_CONFIG.MAX_RECONNECT_ATTEMPTS + 1
+    );
+  });
+
+  test("waits while offline and starts over when back online", () => {
+    websocketService.connect("s1");
+    socket.serverConnect();
+
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    socket.drop();
+
+    expect(websocketService.getConnectionStatus()).toMatchObject({
+      state: CONNECTION_STATES.DISCONNECTED,
+      reason: "offline",
+      nextRetryAt: null,
+    });
+    jest.runOnlyPendingTimers();
+    expect(socket.connect).toHaveBeenCalledTimes(1);
+
+    jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+    websocketService.reconnect();
+
+    expect(state()).toBe(CONNECTION_STATES.CONNECTING);
+    expect(socket.connect).toHaveBeenCalledTimes(2);
+  });
+
+  test("clears the offline state when there is no socket", () => {
+    websocketService.goOffline();
+    expect(websocketService.getConnectionStatus().reason).toBe("offline");
+
+    websocketService.reconnect();
+
+    expect(websocketService.getConnectionStatus()).toMatchObject({
+      state: CONNECTION_STATES.DISCONNECTED,
+      reason: null,
+    });
+    expect(io).not.toHaveBeenCalled();
+  });
+
+  test("does not reconnect after hanging up on purpose", () => {
+    websocketService.connect("s1");
+    socket.serverConnect();
+
+    socket.drop("io client disconnect");
+    jest.runOnlyPendingTimers();
+
+    expect(state()).toBe(CONNECTION_STATES.DISCONNECTED);
+    expect(socket.connect).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("heartbeat", () => {
+  const TIMEOUT = new Error("operation has timed out");
+
+  // Answer the oldest unanswered heartbeat after `latency` ms
+  const ack = (latency = 50) => {
+    jest.advanceTimersByTime(latency);
+    socket.heartbeats.shift()(null);
+  };
+
+  const miss = () => {
+    socket.heartbeats.shift()(TIMEOUT);
+  };
+
+  const nextHeartbeat = () => {
+    jest.advanceTimersByTime(CHAT_CONFIG.PING_INTERVAL);
+  };
+
+  beforeEach(() => {
+    websocketService.connect("s1");
+    socket.serverConnect();
+  });
+
+  test("measures the round trip of each acknowledged heartbeat", () => {
+    ack(120);
+
+    expect(websocketService.getConnectionStatus()).toMatchObject({
+      latency: 120,
+      isDegraded: false,
+    });
+
+    nextHeartbeat();
+    expect(socket.heartbeats).toHaveLength(1);
+  });
+
+  test("marks a slow socket degraded", () => {
+    ack(CHAT_CONFIG.DEGRADED_LATENCY + 1);
+
+    expect(websocketService.isDegraded()).toBe(true);
+    expect(state()).toBe(CONNECTION_STATES.CONNECTED);
+  });
+
+  test("ignores misses until the server has acknowledged a heartbeat", () => {
+    miss();
+    nextHeartbeat();
+    miss();
+
+    expect(websocketService.isDegraded()).toBe(false);
+    expect(state()).toBe(CONNECTION_STATES.CONNECTED);
+  });
+
+  test("reconnects after too many missed heartbeats in a row", () => {
+    ack();
+    nextHeartbeat();
+    miss();
+
+    expect(websocketService.isDegraded()).toBe(true);
+    expect(state()).toBe(CONNECTION_STATES.CONNECTED);
+
+    for (let i = 1; i < CHAT_CONFIG.MAX_MISSED_PINGS; i++) {
+      nextHeartbeat();
+      miss();
+    }
+
+    expect(socket.disconnect).toHaveBeenCalled();
+    expect(websocketService.getConnectionStatus()).toMatchObject({
+      state: CONNECTION_STATES.RECONNECTING,
+      reason: "heartbeat timeout",
+    });
+  });
+
+  test("an acknowledgement resets the missed count", () => {
+    ack();
+    nextHeartbeat();
+    miss();
+    nextHeartbeat();
+    ack();
+
+    expect(websocketService.isDegraded()).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+import { VALIDATION, INGESTION_CONFIG } from "./constants";
+
+const RULES = VALIDATION.ARTICLE;
+
+// Field aliases accepted from pasted/uploaded data, keyed by article field
+export const ARTICLE_FIELD_ALIASES = {
+  title: ["title", "headline"],
+  content: ["content", "text", "body", "description"],
+  url: ["url", "link"],
+  source: ["source", "outlet", "publisher"],
+  publishedDate: ["publishedDate", "published_at", "publishedAt", "date"],
+};
+
+const pickField = (raw, field) => {
+  const key = ARTICLE_FIELD_ALIASES[field].find(
+    (alias) => raw[alias] !== undefined && raw[alias] !== null
+  );
+  return key ? raw[key] : undefined;
+};
+
+const asTrimmedString = (value) =>
+  value === undefined || value === null ? "" : String(value).trim();
+
+export const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+};
+
+// Map a raw record onto the article shape the backend expects
+export const normalizeArticle = (raw = {}) => {
+  const article = {
+    title: asTrimmedString(pickField(raw, "title")),
+    content: asTrimmedString(pickField(raw, "content")),
+    url: asTrimmedString(pickField(raw, "url")),
+    source: asTrimmedString(pickField(raw, "source")),
+    publishedDate: asTrimmedString(pickField(raw, "publishedDate")),
+  };
+
+  // Drop empty optional fields rather than sending blanks
+  ["url", "source", "publishedDate"].forEach((field) => {
+    if (!article[field]) delete article[field];
+  });
+
+  return article;
+};
+
+// Check a normalized article. Returns a list of problems (empty if valid).
+export const validateArticle = (article) => {
+  const errors = [];
+
+  if (!article.title) {
+    errors.push("Missing title");
+  } else if (article.title.length > RULES.TITLE_MAX_LENGTH) {
+    errors.push(`Title longer than ${RULES.TITLE_MAX_LENGTH} characters`);
+  }
+
+  if (!article.content) {
+    errors.push("Missing content");
+  } else if (article.content.length < RULES.CONTENT_MIN_LENGTH) {
+    errors.push(`Content shorter than ${RULES.CONTENT_MIN_LENGTH} characters`);
+  } else if (article.content.length > RULES.CONTENT_MAX_LENGTH) {
+    errors.push(`Content longer than ${RULES.CONTENT_MAX_LENGTH} characters`);
+  }
+
+  if (article.url && !isHttpUrl(article.url)) {
+    errors.push("URL must start with http:// or https://");
+  }
+
+  if (article.publishedDate && isNaN(Date.parse(article.publishedDate))) {
+    errors.push("Unrecognised published date");
+  }
+
+  return errors;
+};
+
+// Parse pasted or uploaded JSON into raw records. Accepts an array, a single
+// article object, or an object with an `articles` array.
+export const parseArticlesJSON = (text) => {
+  const parsed = JSON.parse(text);
+
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.articles)) return parsed.articles;
+  if (parsed && typeof parsed === "object") return [parsed];
+
+  throw new Error("Expected an array of articles");
+};
+
+// Normalize and validate every record. Duplicates (same URL, or same title
+// when there is no URL) are flagged so they are not ingested twice.
+export const prepareArticles = (records = []) => {
+  const seen = new Set();
+
+  return records.map((raw, index) => {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { index, article: null, errors: ["Not an article object"] };
+    }
+
+    const article = normalizeArticle(raw);
+    const errors = validateArticle(article);
+
+    const key = (article.url || article.title).toLowerCase();
+    if (key && seen.has(key)) {
+      errors.push("Duplicate of an earlier article");
+    }
+    seen.add(key);
+
+    return { index, article, errors };
+  });
+};
+
+// Split a list into batches for upload
+export const chunkArticles = (articles, size = INGESTION_CONFIG.BATCH_SIZE) => {
+  const batches = [];
+  for (let i = 0; i < articles.length; i += size) {
+    batches.push(articles.slice(i, i + size));
+  }
+  return batches;
+};
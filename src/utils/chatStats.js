@@ -0,0 +1,83 @@
+import { MESSAGE_TYPES } from "./constants";
+
+const average = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const countByType = (messages, type) =>
+  messages.filter((message) => message.type === type).length;
+
+// Per-conversation statistics. Latency is only known for answers received
+// in this browser (metadata.latencyMs), not for history loaded from the server.
+export const computeConversationStats = (messages = []) => {
+  const answers = messages.filter(
+    (message) =>
+      message.type === MESSAGE_TYPES.ASSISTANT && !message.isStreaming
+  );
+  const errorMessages = countByType(messages, MESSAGE_TYPES.ERROR);
+  const latencies = answers
+    .map((message) => message.metadata?.latencyMs)
+    .filter((value) => Number.isFinite(value));
+  const sourcesPerAnswer = answers.map(
+    (message) => message.metadata?.context?.length || 0
+  );
+  const attempts = answers.length + errorMessages;
+
+  const transports = answers.reduce((counts, message) => {
+    const source = message.metadata?.source;
+    if (source) {
+      counts[source] = (counts[source] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+  return {
+    userMessages: countByType(messages, MESSAGE_TYPES.USER),
+    assistantMessages: answers.length,
+    errorMessages,
+    systemMessages: countByType(messages, MESSAGE_TYPES.SYSTEM),
+    interruptedAnswers: answers.filter(
+      (message) => message.metadata?.interrupted
+    ).length,
+    latencies,
+    averageLatencyMs: average(latencies),
+    medianLatencyMs: median(latencies),
+    sourcesPerAnswer,
+    averageSources: average(sourcesPerAnswer),
+    answersWithoutSources: sourcesPerAnswer.filter((count) => count === 0)
+      .length,
+    errorRate: attempts ? errorMessages / attempts : null,
+    transports,
+  };
+};
+
+// Combine stats for several conversations (session ID -> messages)
+export const computeOverallStats = (conversations = {}) => {
+  const allMessages = Object.values(conversations).flat();
+  const activeConversations = Object.values(conversations).filter(
+    (messages) => messages && messages.length > 0
+  ).length;
+
+  return {
+    ...computeConversationStats(allMessages),
+    conversations: activeConversations,
+  };
+};
+
+// Bucket counts for a histogram, e.g. sources per answer: { 0: 2, 3: 5 }
+export const histogram = (values, maxBucket = 5) =>
+  values.reduce((buckets, value) => {
+    const bucket = Math.min(value, maxBucket);
+    buckets[bucket] = (buckets[bucket] || 0) + 1;
+    return buckets;
+  }, {});
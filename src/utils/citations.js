@@ -0,0 +1,240 @@
+import { tokenize } from "./search";
+import { ARTICLE_FIELD_ALIASES, isHttpUrl } from "./articles";
+
+// Matches "[1]" and grouped markers like "[1, 3]"
+export const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Also matches inferred markers, written "[~1]" (see addInferredCitations)
+const MARKER_PATTERN = /\[(~?)(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Sentences need this share of their content words in a source to cite it
+const MIN_OVERLAP = 0.35;
+const MIN_SHARED_WORDS = 3;
+const SNIPPET_LENGTH = 220;
+
+const STOP_WORDS = new Set(
+  (
+    "the and for are but not you all any can had her was one our out has " +
+    "him his how its may new now old see two who did get let put say she " +
+    "too use that with have this will your from they been were said each " +
+    "which their there what about would when make like than them these " +
+    "some into more also other could after over such only most just very " +
+    "where while those being both does many much should then"
+  ).split(" ")
+);
+
+// Text of a retrieved chunk; backends name this field differently
+export const getContextText = (ctx = {}) =>
+  ctx.content ||
+  ctx.text ||
+  ctx.pageContent ||
+  ctx.document ||
+  ctx.metadata?.content ||
+  ctx.metadata?.description ||
+  "";
+
+// Short preview of a chunk for popovers
+export const getContextSnippet = (ctx, length = SNIPPET_LENGTH) => {
+  const text = getContextText(ctx).replace(/\s+/g, " ").trim();
+  return text.length > length ? `${text.slice(0, length).trim()}…` : text;
+};
+
+// First non-empty metadata value under any alias of an article field
+const pickMetadata = (metadata, field) => {
+  const key = ARTICLE_FIELD_ALIASES[field].find((alias) => metadata[alias]);
+  return key ? String(metadata[key]).trim() : "";
+};
+
+// Display fields of a retrieved chunk. The URL is dropped unless it is
+// http(s) and the date unless it parses.
+export const getContextDetails = (ctx = {}) => {
+  const metadata = ctx.metadata || {};
+  const url = pickMetadata(metadata, "url");
+  const publishedDate = pickMetadata(metadata, "publishedDate");
+  const similarity = Number(ctx.similarity);
+
+  return {
+    title: pickMetadata(metadata, "title") || "Untitled article",
+    outlet: pickMetadata(metadata, "source"),
+    url: isHttpUrl(url) ? url : null,
+    publishedDate: isNaN(Date.parse(publishedDate))
+      ? null
+      : new Date(publishedDate),
+    similarity: Number.isFinite(similarity) ? similarity : null,
+    text: getContextText(ctx).trim(),
+  };
+};
+
+// Words of a question worth highlighting in its sources
+export const getQueryTerms = (query = "") => [
+  ...new Set(
+    tokenize(query).filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+  ),
+];
+
+const contentWords = (text) =>
+  new Set(tokenize(text).filter((word) => !STOP_WORDS.has(word)));
+
+// Citation numbers (1-based) already present in the text that point at a
+// real context entry
+export const findCitationNumbers = (content = "", contextCount = 0) => {
+  const numbers = new Set();
+
+  for (const match of content.matchAll(CITATION_PATTERN)) {
+    match[1].split(",").forEach((value) => {
+      const number = parseInt(value, 10);
+      if (number >= 1 && number <= contextCount) {
+        numbers.add(number);
+      }
+    });
+  }
+
+  return [...numbers].sort((a, b) => a - b);
+};
+
+// Best matching source for a sentence by shared content words, or null
+const attributeSentence = (sentence, sources) => {
+  const words = contentWords(sentence);
+  if (words.size < MIN_SHARED_WORDS) return null;
+
+  let best = null;
+
+  sources.forEach((sourceWords, index) => {
+    let shared = 0;
+    words.forEach((word) => {
+      if (sourceWords.has(word)) shared++;
+    });
+
+    const overlap = shared / words.size;
+    if (
+      shared >= MIN_SHARED_WORDS &&
+      overlap >= MIN_OVERLAP &&
+      (!best || overlap > best.overlap)
+    ) {
+      best = { number: index + 1, overlap };
+    }
+  });
+
+  return best ? best.number : null;
+};
+
+// Split a prose line into sentences, keeping their trailing punctuation
+const splitSentences = (line) =>
+  line.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [line];
+
+// Add markers to an answer that has none, attributing each sentence to the
+// source it shares the most words with. They are written "[~n]" so they
+// render as possible sources, never as citations the model made. Code is
+// left untouched.
+export const addInferredCitations = (content = "", context = []) => {
+  const sources = context.map((ctx) => contentWords(getContextText(ctx)));
+  if (!sources.some((words) => words.size > 0)) return content;
+
+  let inFence = false;
+
+  return content
+    .split("\n")
+    .map((line) => {
+      if (/^ {0,3}(`{3,}|~{3,})/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+
+      // Skip code, table rows and lines without prose
+      if (inFence || /^\s*\|/.test(line) || !/\p{L}/u.test(line)) {
+        return line;
+      }
+
+      return splitSentences(line)
+        .map((sentence) => {
+          const number = attributeSentence(
+            sentence.replace(/`[^`]*`/g, ""),
+            sources
+          );
+          if (!number) return sentence;
+
+          // Marker goes before the closing punctuation: "... rates [1]."
+          const ending = sentence.match(/[.!?]*["')\]]*\s*$/)[0];
+          const body = sentence.slice(0, sentence.length - ending.length);
+          return `${body} [~${number}]${ending}`;
+        })
+        .join("");
+    })
+    .join("\n");
+};
+
+// Answer text with citation markers: the model's own when it wrote any,
+// inferred "[~n]" ones otherwise
+export const annotateCitations = (content = "", context = []) => {
+  if (!content || context.length === 0) return content;
+  if (findCitationNumbers(content, context.length).length > 0) return content;
+  return addInferredCitations(content, context);
+};
+
+// remark plugin: turn "[n]" in text into links to "#citation-n" (and
+// inferred "[~n]" into "#possible-citation-n") so the Markdown renderer can
+// swap them for interactive markers. Numbers outside 1..count are left as
+// plain text.
+export const remarkCitations =
+  ({ count = 0 } = {}) =>
+  (tree) => {
+    const transform = (node) => {
+      if (!node.children) return;
+
+      node.children = node.children.flatMap((child) => {
+        if (child.type !== "text") {
+          // Never nest links inside links
+          if (child.type !== "link") transform(child);
+          return [child];
+        }
+
+        const parts = [];
+        let lastIndex = 0;
+
+        for (const match of child.value.matchAll(MARKER_PATTERN)) {
+          const prefix = match[1] ? "possible-citation" : "citation";
+          const numbers = match[2]
+            .split(",")
+            .map((value) => parseInt(value, 10))
+            .filter((number) => number >= 1 && number <= count);
+
+          if (numbers.length === 0) continue;
+
+          if (match.index > lastIndex) {
+            parts.push({
+              type: "text",
+              value: child.value.slice(lastIndex, match.index),
+            });
+          }
+
+          numbers.forEach((number) => {
+            parts.push({
+              type: "link",
+              url: `#${prefix}-${number}`,
+              children: [{ type: "text", value: String(number) }],
+            });
+          });
+
+          lastIndex = match.index + match[0].length;
+        }
+
+        if (parts.length === 0) return [child];
+
+        if (lastIndex < child.value.length) {
+          parts.push({ type: "text", value: child.value.slice(lastIndex) });
+        }
+
+        return parts;
+      });
+    };
+
+    transform(tree);
+  };
+
+// Citation from a "#citation-n" or "#possible-citation-n" href, or null
+export const parseCitationHref = (href = "") => {
+  const match = /^#(possible-)?citation-(\d+)$/.exec(href);
+  return match
+    ? { number: parseInt(match[2], 10), isInferred: Boolean(match[1]) }
+    : null;
+};
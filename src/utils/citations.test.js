@@ -0,0 +1,141 @@
+import {
+  annotateCitations,
+  findCitationNumbers,
+  getContextDetails,
+  getQueryTerms,
+  parseCitationHref,
+  remarkCitations,
+} from "./citations";
+
+const context = [
+  {
+    content:
+      "The central bank raised interest rates by half a point to curb inflation.",
+    similarity: 0.82,
+    metadata: { title: "Rates rise", source: "Daily News" },
+  },
+  {
+    content:
+      "Heavy storms flooded coastal towns and forced thousands to evacuate.",
+    metadata: { headline: "Storm damage", link: "https://example.com/storm" },
+  },
+];
+
+describe("annotateCitations", () => {
+  test("keeps the model's own citations untouched", () => {
+    const content = "Rates went up [1]. Storms hit the coast.";
+    expect(annotateCitations(content, context)).toBe(content);
+  });
+
+  test("marks inferred citations as possible sources", () => {
+    const annotated = annotateCitations(
+      "The central bank raised interest rates to curb inflation. Storms flooded coastal towns.",
+      context
+    );
+
+    expect(annotated).toBe(
+      "The central bank raised interest rates to curb inflation [~1]. Storms flooded coastal towns [~2]."
+    );
+    expect(findCitationNumbers(annotated, context.length)).toEqual([]);
+  });
+
+  test("leaves code blocks and unrelated sentences alone", () => {
+    const content = [
+      "```",
+      "central bank raised interest rates",
+      "```",
+      "Nothing here matches anything.",
+    ].join("\n");
+
+    expect(annotateCitations(content, context)).toBe(content);
+  });
+
+  test("returns the content when there are no sources", () => {
+    expect(annotateCitations("Some answer.", [])).toBe("Some answer.");
+  });
+});
+
+describe("findCitationNumbers", () => {
+  test("collects grouped markers within range", () => {
+    expect(findCitationNumbers("See [2, 1] and [1] but not [7].", 2)).toEqual([
+      1, 2,
+    ]);
+  });
+});
+
+describe("remarkCitations", () => {
+  const run = (value, count) => {
+    const tree = {
+      type: "root",
+      children: [{ type: "paragraph", children: [{ type: "text", value }] }],
+    };
+    remarkCitations({ count })(tree);
+    return tree.children[0].children;
+  };
+
+  test("turns cited and inferred markers into links", () => {
+    expect(run("A [1] b [~2].", 2)).toEqual([
+      { type: "text", value: "A " },
+      {
+        type: "link",
+        url: "#citation-1",
+        children: [{ type: "text", value: "1" }],
+      },
+      { type: "text", value: " b " },
+      {
+        type: "link",
+        url: "#possible-citation-2",
+        children: [{ type: "text", value: "2" }],
+      },
+      { type: "text", value: "." },
+    ]);
+  });
+
+  test("leaves out-of-range numbers as text", () => {
+    expect(run("Year [2024]", 2)).toEqual([
+      { type: "text", value: "Year [2024]" },
+    ]);
+  });
+});
+
+describe("parseCitationHref", () => {
+  test("reads the number and whether it was inferred", () => {
+    expect(parseCitationHref("#citation-3")).toEqual({
+      number: 3,
+      isInferred: false,
+    });
+    expect(parseCitationHref("#possible-citation-1")).toEqual({
+      number: 1,
+      isInferred: true,
+    });
+    expect(parseCitationHref("https://example.com")).toBeNull();
+  });
+});
+
+describe("getContextDetails", () => {
+  test("reads metadata through field aliases", () => {
+    const details = getContextDetails(context[1]);
+
+    expect(details.title).toBe("Storm damage");
+    expect(details.url).toBe("https://example.com/storm");
+    expect(details.similarity).toBeNull();
+  });
+
+  test("drops non-http URLs and unparseable dates", () => {
+    const details = getContextDetails({
+      metadata: { url: "ftp://example.com/file", publishedAt: "soon" },
+    });
+
+    expect(details.title).toBe("Untitled article");
+    expect(details.url).toBeNull();
+    expect(details.publishedDate).toBeNull();
+  });
+});
+
+describe("getQueryTerms", () => {
+  test("drops short words, stop words and duplicates", () => {
+    expect(getQueryTerms("What did the Fed do about rates and rates?")).toEqual(
+      ["fed", "rates"]
+    );
+  });
+});
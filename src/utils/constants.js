@@ -31,6 +31,20 @@ export const CONNECTION_STATES = {
   ERROR: "error",
 };
 
+// Message transports, in order of preference
+export const TRANSPORTS = {
+  WEBSOCKET: "websocket",
+  SSE: "sse",
+  HTTP: "http",
+};
+
+// Server-Sent Event frame types (chat streaming endpoint)
+export const STREAM_EVENTS = {
+  CHUNK: "chunk",
+  DONE: "done",
+  ERROR: "error",
+};
+
 // Chat States
 export const CHAT_STATES = {
   IDLE: "idle",
@@ -43,9 +57,13 @@ export const CHAT_STATES = {
 // Session Storage Keys
 export const STORAGE_KEYS = {
   CURRENT_SESSION: "currentSessionId",
+  SESSION_INDEX: "sessionIndex",
   CHAT_HISTORY: "chatHistory",
   USER_PREFERENCES: "userPreferences",
   CONNECTION_STATUS: "connectionStatus",
+  MESSAGE_FEEDBACK: "messageFeedback",
+  FEEDBACK_QUEUE: "feedbackQueue",
+  MESSAGE_OUTBOX: "messageOutbox",
 };
 
 // Error Messages
@@ -65,6 +83,7 @@ export const SUCCESS_MESSAGES = {
   MESSAGE_SENT: "Message sent successfully",
   SESSION_CREATED: "New conversation started",
   SESSION_CLEARED: "Conversation cleared",
+  SESSION_SWITCHED: "Conversation loaded",
   CONNECTION_RESTORED: "Connection restored",
 };
 
@@ -105,8 +124,79 @@ export const CHAT_CONFIG = {
   TYPING_INDICATOR_TIMEOUT: 10000,
   MAX_RETRIES: 3,
   RETRY_DELAY: 1000,
+  MAX_RETRY_DELAY: 30000,
   STREAM_TIMEOUT: 60000,
   PING_INTERVAL: 30000,
+  PING_TIMEOUT: 5000,
+  MAX_MISSED_PINGS: 2,
+  DEGRADED_LATENCY: 1500, // ms round trip before the socket counts as slow
+};
+
+// User preference options
+export const SEND_SHORTCUTS = {
+  ENTER: "enter",
+  CTRL_ENTER: "ctrl_enter",
+};
+
+export const TRANSPORT_PREFERENCES = {
+  AUTO: "auto",
+  ...TRANSPORTS,
+};
+
+export const THEME_MODES = {
+  DARK: "dark",
+  LIGHT: "light",
+  SYSTEM: "system",
+};
+
+// Backend health monitoring
+export const HEALTH_CONFIG = {
+  POLL_INTERVAL: 30000,
+  HISTORY_LENGTH: 30,
+  SLOW_RESPONSE_MS: 2000,
+};
+
+export const HEALTH_STATUS = {
+  HEALTHY: "healthy",
+  DEGRADED: "degraded",
+  DOWN: "down",
+  UNKNOWN: "unknown",
+};
+
+// Answer feedback
+export const FEEDBACK_RATINGS = {
+  UP: "up",
+  DOWN: "down",
+};
+
+export const FEEDBACK_STATUS = {
+  SENDING: "sending",
+  SENT: "sent",
+  QUEUED: "queued",
+  FAILED: "failed",
+};
+
+export const FEEDBACK_REASONS = [
+  { value: "inaccurate", label: "Inaccurate" },
+  { value: "outdated", label: "Outdated" },
+  { value: "irrelevant_sources", label: "Irrelevant sources" },
+  { value: "missing_sources", label: "No sources" },
+  { value: "incomplete", label: "Incomplete" },
+  { value: "other", label: "Other" },
+];
+
+export const FEEDBACK_CONFIG = {
+  COMMENT_MAX_LENGTH: 1000,
+  MAX_STORED_VOTES: 500,
+};
+
+// News ingestion (admin panel)
+export const INGESTION_CONFIG = {
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 100,
+  BATCH_SIZE: 20,
+  BATCH_RETRIES: 3,
+  BATCH_RETRY_DELAY: 1000,
 };
 
 // Validation Rules
@@ -120,25 +210,35 @@ export const VALIDATION = {
     PATTERN: /^session:[a-f0-9-]{36}$/,
     REQUIRED: false,
   },
+  ARTICLE: {
+    TITLE_MAX_LENGTH: 300,
+    CONTENT_MIN_LENGTH: 50,
+    CONTENT_MAX_LENGTH: 50000,
+  },
 };
 
 // Feature Flags
 export const FEATURES = {
-  WEBSOCKET_ENABLED: false,
-  STREAMING_ENABLED: false,
+  WEBSOCKET_ENABLED: process.env.REACT_APP_WEBSOCKET_ENABLED === "true",
+  STREAMING_ENABLED: process.env.REACT_APP_STREAMING_ENABLED === "true",
   VOICE_INPUT: false,
   FILE_UPLOAD: false,
-  DARK_MODE: false,
-  ADMIN_PANEL: false,
+  DARK_MODE: true,
+  ADMIN_PANEL: process.env.REACT_APP_ADMIN_PANEL === "true",
 };
 
 // Routes/Paths
 export const ROUTES = {
   HOME: "/",
   CHAT: "/chat",
+  SEARCH: "/search",
+  LIBRARY: "/library",
   HISTORY: "/history",
   SETTINGS: "/settings",
   HELP: "/help",
+  ADMIN: "/admin",
+  HEALTH: "/health",
+  STATS: "/stats",
 };
 
 // Development Configuration
@@ -154,6 +254,7 @@ export const DEFAULT_MESSAGES = {
   WELCOME:
     "Hello! I'm your AI assistant. Ask me anything about recent news and developments.",
   NO_MESSAGES: "No messages yet. Start a conversation!",
+  NEW_CONVERSATION: "New chat",
   LOADING: "Loading...",
   CONNECTING: "Connecting...",
   TYPING: "AI is typing...",
@@ -166,6 +267,8 @@ export default {
   APP_CONFIG,
   MESSAGE_TYPES,
   CONNECTION_STATES,
+  TRANSPORTS,
+  STREAM_EVENTS,
   CHAT_STATES,
   STORAGE_KEYS,
   ERROR_MESSAGES,
@@ -173,6 +276,16 @@ export default {
   UI_CONFIG,
   THEME,
   CHAT_CONFIG,
+  SEND_SHORTCUTS,
+  TRANSPORT_PREFERENCES,
+  THEME_MODES,
+  HEALTH_CONFIG,
+  HEALTH_STATUS,
+  FEEDBACK_RATINGS,
+  FEEDBACK_STATUS,
+  FEEDBACK_REASONS,
+  FEEDBACK_CONFIG,
+  INGESTION_CONFIG,
   VALIDATION,
   FEATURES,
   ROUTES,
@@ -0,0 +1,35 @@
+// "activeSessions" / "active_sessions" -> "Active sessions"
+export const humanizeKey = (key) => {
+  const words = String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .trim()
+    .toLowerCase();
+
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Flatten nested stats into label/value rows, e.g. { sources: { bbc: 3 } }
+// becomes "Sources › Bbc: 3"
+export const flattenStats = (stats, prefix = "") =>
+  Object.entries(stats || {}).flatMap(([key, value]) => {
+    const label = prefix ? `${prefix} › ${humanizeKey(key)}` : humanizeKey(key);
+
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      return flattenStats(value, label);
+    }
+
+    return [
+      { label, value: Array.isArray(value) ? value.join(", ") : String(value) },
+    ];
+  });
+
+// Milliseconds as "850 ms" or "2.4 s"
+export const formatLatency = (ms) => {
+  if (!Number.isFinite(ms)) return "—";
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+};
+
+// Ratio (0-1) as a percentage with one decimal place
+export const formatPercent = (ratio) =>
+  Number.isFinite(ratio) ? `${Math.round(ratio * 1000) / 10}%` : "—";
@@ -0,0 +1,121 @@
+import { HEALTH_STATUS, HEALTH_CONFIG } from "./constants";
+
+const HEALTHY_VALUES = ["healthy", "ok", "up", "connected", "ready", "pass"];
+const DEGRADED_VALUES = ["degraded", "warn", "warning", "slow", "partial"];
+
+// Ordered best to worst, used to combine statuses
+const STATUS_RANK = [
+  HEALTH_STATUS.HEALTHY,
+  HEALTH_STATUS.UNKNOWN,
+  HEALTH_STATUS.DEGRADED,
+  HEALTH_STATUS.DOWN,
+];
+
+// Map the many spellings backends use onto HEALTH_STATUS
+export const normalizeStatus = (value) => {
+  if (value === true) return HEALTH_STATUS.HEALTHY;
+  if (value === false) return HEALTH_STATUS.DOWN;
+  if (value === undefined || value === null) return HEALTH_STATUS.UNKNOWN;
+
+  const status = String(value).toLowerCase();
+  if (HEALTHY_VALUES.includes(status)) return HEALTH_STATUS.HEALTHY;
+  if (DEGRADED_VALUES.includes(status)) return HEALTH_STATUS.DEGRADED;
+  return HEALTH_STATUS.DOWN;
+};
+
+// Least healthy of a list of statuses
+export const worstStatus = (statuses) =>
+  statuses.reduce(
+    (worst, status) =>
+      STATUS_RANK.indexOf(status) > STATUS_RANK.indexOf(worst) ? status : worst,
+    HEALTH_STATUS.HEALTHY
+  );
+
+const readLatency = (details) => {
+  const latency =
+    details.latency ?? details.latencyMs ?? details.responseTime ?? null;
+  const value = parseFloat(latency);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Accept { name: "ok" }, { name: { status, latency } } or [{ name, status }]
+const normalizeDependencies = (dependencies) => {
+  const entries = Array.isArray(dependencies)
+    ? dependencies.map((dep, index) => [
+        dep.name || `service ${index + 1}`,
+        dep,
+      ])
+    : Object.entries(dependencies || {});
+
+  return entries.map(([name, details]) => {
+    const info = details && typeof details === "object" ? details : {};
+    const rawStatus =
+      details && typeof details === "object"
+        ? info.status ?? info.healthy ?? info.connected
+        : details;
+
+    return {
+      name,
+      status: normalizeStatus(rawStatus),
+      latency: readLatency(info),
+      message: info.message || info.error || null,
+    };
+  });
+};
+
+// Turn a /api/health/detailed response into
+// { status, dependencies: [{ name, status, latency, message }], uptime, version }.
+// `responseTime` is the client-side round trip in ms.
+export const normalizeHealth = (response, responseTime = null) => {
+  const payload = response?.data ?? response ?? {};
+  const dependencies = normalizeDependencies(
+    payload.services || payload.dependencies || payload.checks
+  );
+
+  const dependencyStatus = worstStatus(dependencies.map((dep) => dep.status));
+  let status = payload.status
+    ? normalizeStatus(payload.status)
+    : dependencyStatus;
+
+  // The API answering does not mean every dependency is fine
+  if (
+    status === HEALTH_STATUS.HEALTHY &&
+    [HEALTH_STATUS.DEGRADED, HEALTH_STATUS.DOWN].includes(dependencyStatus)
+  ) {
+    status = HEALTH_STATUS.DEGRADED;
+  }
+
+  // A slow API is degraded even when every dependency says it is fine
+  if (
+    status === HEALTH_STATUS.HEALTHY &&
+    responseTime !== null &&
+    responseTime > HEALTH_CONFIG.SLOW_RESPONSE_MS
+  ) {
+    status = HEALTH_STATUS.DEGRADED;
+  }
+
+  return {
+    status,
+    dependencies,
+    uptime: Number(payload.uptime) || null,
+    version: payload.version || null,
+  };
+};
+
+export const STATUS_LABELS = {
+  [HEALTH_STATUS.HEALTHY]: "All systems operational",
+  [HEALTH_STATUS.DEGRADED]: "Degraded performance",
+  [HEALTH_STATUS.DOWN]: "Service unavailable",
+  [HEALTH_STATUS.UNKNOWN]: "Checking status...",
+};
+
+// "1h 5m" style duration from milliseconds
+export const formatDuration = (ms) => {
+  const totalMinutes = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (totalMinutes > 0) return `${totalMinutes}m`;
+  return `${Math.floor(ms / 1000)}s`;
+};
@@ -0,0 +1,99 @@
+import {
+  normalizeHealth,
+  normalizeStatus,
+  worstStatus,
+  formatDuration,
+} from "./health";
+import { HEALTH_STATUS, HEALTH_CONFIG } from "./constants";
+
+describe("normalizeStatus", () => {
+  test("maps the spellings backends use", () => {
+    expect(normalizeStatus("OK")).toBe(HEALTH_STATUS.HEALTHY);
+    expect(normalizeStatus(true)).toBe(HEALTH_STATUS.HEALTHY);
+    expect(normalizeStatus("warning")).toBe(HEALTH_STATUS.DEGRADED);
+    expect(normalizeStatus(false)).toBe(HEALTH_STATUS.DOWN);
+    expect(normalizeStatus("exploded")).toBe(HEALTH_STATUS.DOWN);
+    expect(normalizeStatus(undefined)).toBe(HEALTH_STATUS.UNKNOWN);
+  });
+
+  test("worstStatus picks the least healthy", () => {
+    expect(worstStatus([HEALTH_STATUS.HEALTHY, HEALTH_STATUS.DOWN])).toBe(
+      HEALTH_STATUS.DOWN
+    );
+    expect(worstStatus([])).toBe(HEALTH_STATUS.HEALTHY);
+  });
+});
+
+describe("normalizeHealth", () => {
+  test("reads object-shaped dependencies with latency and errors", () => {
+    const health = normalizeHealth({
+      status: "ok",
+      services: {
+        redis: "up",
+        vectorStore: { status: "down", latencyMs: "12.5", error: "timeout" },
+      },
+      uptime: "3600",
+      version: "1.2.0",
+    });
+
+    expect(health).toEqual({
+      status: HEALTH_STATUS.DEGRADED,
+      dependencies: [
+        {
+          name: "redis",
+          status: HEALTH_STATUS.HEALTHY,
+          latency: null,
+          message: null,
+        },
+        {
+          name: "vectorStore",
+          status: HEALTH_STATUS.DOWN,
+          latency: 12.5,
+          message: "timeout",
+        },
+      ],
+      uptime: 3600,
+      version: "1.2.0",
+    });
+  });
+
+  test("reads array-shaped checks from an axios response", () => {
+    const health = normalizeHealth({
+      data: { checks: [{ name: "llm", healthy: true }, { connected: false }] },
+    });
+
+    expect(health.dependencies.map((dep) => [dep.name, dep.status])).toEqual([
+      ["llm", HEALTH_STATUS.HEALTHY],
+      ["service 2", HEALTH_STATUS.DOWN],
+    ]);
+    expect(health.status).toBe(HEALTH_STATUS.DOWN);
+  });
+
+  test("marks a slow but healthy API as degraded", () => {
+    const slow = HEALTH_CONFIG.SLOW_RESPONSE_MS + 1;
+
+    expect(normalizeHealth({ status: "ok" }, slow).status).toBe(
+      HEALTH_STATUS.DEGRADED
+    );
+    expect(normalizeHealth({ status: "ok" }, 10).status).toBe(
+      HEALTH_STATUS.HEALTHY
+    );
+  });
+
+  test("handles an empty response", () => {
+    expect(normalizeHealth(null)).toEqual({
+      status: HEALTH_STATUS.HEALTHY,
+      dependencies: [],
+      uptime: null,
+      version: null,
+    });
+  });
+});
+
+describe("formatDuration", () => {
+  test("formats hours, minutes and seconds", () => {
+    expect(formatDuration(3900000)).toBe("1h 5m");
+    expect(formatDuration(120000)).toBe("2m");
+    expect(formatDuration(9000)).toBe("9s");
+  });
+});
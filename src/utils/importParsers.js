@@ -0,0 +1,210 @@
+import { ARTICLE_FIELD_ALIASES, parseArticlesJSON } from "./articles";
+
+export const IMPORT_FORMATS = {
+  JSON: "json",
+  CSV: "csv",
+  FEED: "feed",
+};
+
+const EXTENSION_FORMATS = {
+  json: IMPORT_FORMATS.JSON,
+  csv: IMPORT_FORMATS.CSV,
+  tsv: IMPORT_FORMATS.CSV,
+  xml: IMPORT_FORMATS.FEED,
+  rss: IMPORT_FORMATS.FEED,
+  atom: IMPORT_FORMATS.FEED,
+};
+
+// Pick a format from the file extension, falling back to sniffing the text
+export const detectFormat = (fileName = "", text = "") => {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (fileName.includes(".") && EXTENSION_FORMATS[extension]) {
+    return EXTENSION_FORMATS[extension];
+  }
+
+  const start = text.trimStart()[0];
+  if (start === "[" || start === "{") return IMPORT_FORMATS.JSON;
+  if (start === "<") return IMPORT_FORMATS.FEED;
+  return IMPORT_FORMATS.CSV;
+};
+
+// Guess the delimiter from the header line
+const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [",", ";", "\t"];
+
+  return candidates.reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length
+      ? candidate
+      : best
+  );
+};
+
+// Parse CSV text (RFC 4180 quoting, CRLF or LF line endings).
+// Returns { headers, rows } where each row is an array of cell strings.
+export const parseCSV = (text, delimiter = detectDelimiter(text)) => {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field");
+  }
+
+  if (cell || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  // Ignore blank lines
+  const nonEmpty = records.filter((row) => row.some((value) => value.trim()));
+  if (nonEmpty.length === 0) {
+    throw new Error("No rows found");
+  }
+
+  const [headers, ...rows] = nonEmpty;
+  return { headers: headers.map((header) => header.trim()), rows };
+};
+
+// Map article fields to CSV headers by matching known aliases
+export const guessColumnMapping = (headers = []) =>
+  Object.entries(ARTICLE_FIELD_ALIASES).reduce((mapping, [field, aliases]) => {
+    const lowerAliases = aliases.map((alias) => alias.toLowerCase());
+    const match = headers.find((header) =>
+      lowerAliases.includes(header.toLowerCase())
+    );
+    mapping[field] = match || "";
+    return mapping;
+  }, {});
+
+// Turn CSV rows into raw article records using a field -> header mapping
+export const mapCSVRows = (headers, rows, mapping) =>
+  rows.map((row) =>
+    Object.entries(mapping).reduce((record, [field, header]) => {
+      const column = header ? headers.indexOf(header) : -1;
+      if (column !== -1) {
+        record[field] = row[column];
+      }
+      return record;
+    }, {})
+  );
+
+// Feed bodies are often HTML; keep the readable text only
+const stripHTML = (html) => {
+  if (!html) return "";
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return (doc.body.textContent || "").replace(/\s+/g, " ").trim();
+};
+
+// Text of the first direct child matching any of the tag names
+const childText = (element, ...tagNames) => {
+  for (const tagName of tagNames) {
+    const child = [...element.children].find(
+      (node) =>
+        (node.nodeName === tagName || node.localName === tagName) &&
+        node.textContent.trim()
+    );
+    if (child) {
+      return child.textContent.trim();
+    }
+  }
+  return "";
+};
+
+const parseRSSItem = (item, channelTitle) => ({
+  title: stripHTML(childText(item, "title")),
+  content: stripHTML(childText(item, "content:encoded", "description")),
+  url: childText(item, "link", "guid"),
+  source: childText(item, "source") || channelTitle,
+  publishedDate: childText(item, "pubDate", "dc:date"),
+});
+
+const parseAtomEntry = (entry, feedTitle) => {
+  const links = [...entry.getElementsByTagName("link")];
+  const link =
+    links.find(
+      (node) => (node.getAttribute("rel") || "alternate") === "alternate"
+    ) || links[0];
+
+  return {
+    title: stripHTML(childText(entry, "title")),
+    content: stripHTML(childText(entry, "content", "summary")),
+    url: link?.getAttribute("href") || "",
+    source: feedTitle,
+    publishedDate: childText(entry, "published", "updated"),
+  };
+};
+
+// Parse an RSS 2.0 or Atom export into raw article records
+export const parseFeed = (text) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Invalid XML");
+  }
+
+  const root = doc.documentElement;
+
+  if (root.localName === "feed") {
+    const feedTitle = childText(root, "title");
+    return [...root.getElementsByTagName("entry")].map((entry) =>
+      parseAtomEntry(entry, feedTitle)
+    );
+  }
+
+  const channel = root.getElementsByTagName("channel")[0];
+  if (root.localName === "rss" || channel) {
+    const channelTitle = channel ? childText(channel, "title") : "";
+    return [...root.getElementsByTagName("item")].map((item) =>
+      parseRSSItem(item, channelTitle)
+    );
+  }
+
+  throw new Error("Not an RSS or Atom feed");
+};
+
+// Parse text in a given format. CSV returns headers/rows for column mapping;
+// the others return article records directly.
+export const parseImport = (format, text) => {
+  switch (format) {
+    case IMPORT_FORMATS.JSON:
+      return { records: parseArticlesJSON(text) };
+    case IMPORT_FORMATS.CSV:
+      return parseCSV(text);
+    case IMPORT_FORMATS.FEED:
+      return { records: parseFeed(text) };
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+};
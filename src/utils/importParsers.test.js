@@ -0,0 +1,129 @@
+import {
+  detectFormat,
+  parseCSV,
+  guessColumnMapping,
+  mapCSVRows,
+  parseFeed,
+  IMPORT_FORMATS,
+} from "./importParsers";
+
+describe("detectFormat", () => {
+  test("uses the file extension", () => {
+    expect(detectFormat("export.TSV")).toBe(IMPORT_FORMATS.CSV);
+    expect(detectFormat("feed.atom")).toBe(IMPORT_FORMATS.FEED);
+  });
+
+  test("sniffs the text when the extension is unknown", () => {
+    expect(detectFormat("export.txt", '  [{"title": "A"}]')).toBe(
+      IMPORT_FORMATS.JSON
+    );
+    expect(detectFormat("export", "<rss></rss>")).toBe(IMPORT_FORMATS.FEED);
+    expect(detectFormat("export", "title,url")).toBe(IMPORT_FORMATS.CSV);
+  });
+});
+
+describe("parseCSV", () => {
+  test("keeps delimiters, quotes and line breaks inside quoted fields", () => {
+    const text =
+      'title,content\r\n"Rates, again","He said ""no""\nthen left"\r\n';
+
+    expect(parseCSV(text)).toEqual({
+      headers: ["title", "content"],
+      rows: [["Rates, again", 'He said "no"\nthen left']],
+    });
+  });
+
+  test("detects semicolon and tab delimiters", () => {
+    expect(parseCSV("title;url\nA;https://a.test").rows).toEqual([
+      ["A", "https://a.test"],
+    ]);
+    expect(parseCSV("title\turl\nA\thttps://a.test").rows).toEqual([
+      ["A", "https://a.test"],
+    ]);
+  });
+
+  test("strips a byte order mark and skips blank lines", () => {
+    const { headers, rows } = parseCSV("\uFEFF title ,url\n\nA,B\n\n");
+
+    expect(headers).toEqual(["title", "url"]);
+    expect(rows).toEqual([["A", "B"]]);
+  });
+
+  test("rejects unterminated quotes and empty input", () => {
+    expect(() => parseCSV('title\n"open')).toThrow("Unterminated quoted field");
+    expect(() => parseCSV("\n\n")).toThrow("No rows found");
+  });
+});
+
+describe("column mapping", () => {
+  test("maps rows through the guessed headers", () => {
+    const headers = ["Headline", "Body", "Link"];
+    const mapping = guessColumnMapping(headers);
+
+    expect(mapping.title).toBe("Headline");
+    expect(mapping.url).toBe("Link");
+
+    const [record] = mapCSVRows(headers, [["A", "B", "C"]], mapping);
+    expect(record.title).toBe("A");
+    expect(record.url).toBe("C");
+  });
+});
+
+describe("parseFeed", () => {
+  test("reads RSS items with HTML bodies", () => {
+    const feed = `<?xml version="1.0"?>
+      <rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+        <channel>
+          <title>Daily News</title>
+          <item>
+            <title>Rates rise</title>
+            <description>Short</description>
+            <content:encoded><![CDATA[<p>Full <b>story</b></p>]]></content:encoded>
+            <link>https://example.com/rates</link>
+            <pubDate>Mon, 05 Jan 2026 09:00:00 GMT</pubDate>
+          </item>
+        </channel>
+      </rss>`;
+
+    expect(parseFeed(feed)).toEqual([
+      {
+        title: "Rates rise",
+        content: "Full story",
+        url: "https://example.com/rates",
+        source: "Daily News",
+        publishedDate: "Mon, 05 Jan 2026 09:00:00 GMT",
+      },
+    ]);
+  });
+
+  test("reads Atom entries and prefers the alternate link", () => {
+    const feed = `<?xml version="1.0"?>
+      <feed xmlns="http://www.w3.org/2005/Atom">
+        <title>Coast Times</title>
+        <entry>
+          <title>Storm damage</title>
+          <link rel="self" href="https://example.com/api/storm"/>
+          <link href="https://example.com/storm"/>
+          <summary>Roofs lost</summary>
+          <updated>2026-01-05T09:00:00Z</updated>
+        </entry>
+      </feed>`;
+
+    expect(parseFeed(feed)).toEqual([
+      {
+        title: "Storm damage",
+        content: "Roofs lost",
+        url: "https://example.com/storm",
+        source: "Coast Times",
+        publishedDate: "2026-01-05T09:00:00Z",
+      },
+    ]);
+  });
+
+  test("rejects invalid XML and other documents", () => {
+    expect(() => parseFeed("<rss><channel>")).toThrow("Invalid XML");
+    expect(() => parseFeed("<html><body/></html>")).toThrow(
+      "Not an RSS or Atom feed"
+    );
+  });
+});
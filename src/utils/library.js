@@ -0,0 +1,108 @@
+import { MESSAGE_TYPES } from "./constants";
+import { getContextDetails } from "./citations";
+
+const UNKNOWN_SOURCE = "Unknown source";
+
+// Articles are the same if outlet and title match (ignoring case/spacing)
+const getArticleKey = (source, title) =>
+  `${source}::${title}`.toLowerCase().replace(/\s+/g, " ").trim();
+
+// Aggregate every cited article across conversations.
+// `conversations` maps session ID -> messages. Each entry lists where the
+// article was cited, how often and how closely it matched.
+export const buildLibrary = (conversations = {}) => {
+  const articles = new Map();
+
+  Object.entries(conversations).forEach(([sessionId, messages]) => {
+    (messages || []).forEach((message) => {
+      if (message.type !== MESSAGE_TYPES.ASSISTANT) return;
+
+      (message.metadata?.context || []).forEach((ctx) => {
+        // Same field aliases and URL checks as the citation popovers
+        const details = getContextDetails(ctx);
+        const source = details.outlet || UNKNOWN_SOURCE;
+        const title = details.title;
+        const key = getArticleKey(source, title);
+
+        if (!articles.has(key)) {
+          articles.set(key, {
+            key,
+            source,
+            title,
+            url: details.url,
+            citations: [],
+            maxSimilarity: 0,
+            lastCitedAt: null,
+          });
+        }
+
+        const article = articles.get(key);
+        const similarity = Number(ctx.similarity) || 0;
+
+        article.citations.push({
+          sessionId,
+          messageId: message.id,
+          timestamp: message.timestamp,
+          similarity,
+        });
+        article.maxSimilarity = Math.max(article.maxSimilarity, similarity);
+
+        if (
+          !article.lastCitedAt ||
+          new Date(message.timestamp) > new Date(article.lastCitedAt)
+        ) {
+          article.lastCitedAt = message.timestamp;
+        }
+      });
+    });
+  });
+
+  return [...articles.values()].map((article) => ({
+    ...article,
+    citationCount: article.citations.length,
+    sessionCount: new Set(article.citations.map((c) => c.sessionId)).size,
+    averageSimilarity:
+      article.citations.reduce((sum, c) => sum + c.similarity, 0) /
+      article.citations.length,
+  }));
+};
+
+// Citation counts per outlet, most cited first
+export const getLibrarySources = (library = []) => {
+  const counts = library.reduce((acc, article) => {
+    acc[article.source] = (acc[article.source] || 0) + article.citationCount;
+    return acc;
+  }, {});
+
+  return Object.entries(counts)
+    .map(([source, count]) => ({ source, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+export const LIBRARY_SORTS = {
+  MOST_CITED: "most_cited",
+  BEST_MATCH: "best_match",
+  RECENT: "recent",
+};
+
+// Sort library entries without mutating the input
+export const sortLibrary = (
+  library = [],
+  sortBy = LIBRARY_SORTS.MOST_CITED
+) => {
+  const sorted = [...library];
+
+  switch (sortBy) {
+    case LIBRARY_SORTS.BEST_MATCH:
+      return sorted.sort((a, b) => b.maxSimilarity - a.maxSimilarity);
+    case LIBRARY_SORTS.RECENT:
+      return sorted.sort(
+        (a, b) => new Date(b.lastCitedAt) - new Date(a.lastCitedAt)
+      );
+    default:
+      return sorted.sort(
+        (a, b) =>
+          b.citationCount - a.citationCount || b.maxSimilarity - a.maxSimilarity
+      );
+  }
+};
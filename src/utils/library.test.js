@@ -0,0 +1,136 @@
+import {
+  buildLibrary,
+  getLibrarySources,
+  sortLibrary,
+  LIBRARY_SORTS,
+} from "./library";
+import { MESSAGE_TYPES } from "./constants";
+
+const answer = (id, timestamp, context) => ({
+  id,
+  type: MESSAGE_TYPES.ASSISTANT,
+  content: "Answer",
+  timestamp,
+  metadata: { context },
+});
+
+const storm = {
+  similarity: 0.9,
+  metadata: {
+    headline: "Storm damage",
+    publisher: "Coast Times",
+    link: "https://example.com/storm",
+  },
+};
+
+const rates = {
+  similarity: 0.5,
+  metadata: { title: "Rates rise", source: "Daily News" },
+};
+
+describe("buildLibrary", () => {
+  const library = buildLibrary({
+    s1: [
+      { id: "q", type: MESSAGE_TYPES.USER, content: "Storm?" },
+      answer("a1", "2026-01-01T10:00:00.000Z", [storm, rates]),
+    ],
+    s2: [
+      answer("a2", "2026-01-02T10:00:00.000Z", [
+        {
+          ...storm,
+          similarity: 0.7,
+          metadata: { ...storm.metadata, headline: "  storm DAMAGE " },
+        },
+      ]),
+    ],
+  });
+
+  test("groups citations of the same article across conversations", () => {
+    expect(library).toHaveLength(2);
+
+    const article = library.find((entry) => entry.title === "Storm damage");
+    expect(article.citationCount).toBe(2);
+    expect(article.sessionCount).toBe(2);
+    expect(article.maxSimilarity).toBe(0.9);
+    expect(article.averageSimilarity).toBeCloseTo(0.8);
+    expect(article.lastCitedAt).toBe("2026-01-02T10:00:00.000Z");
+  });
+
+  test("reads title, outlet and URL through the article field aliases", () => {
+    const article = library.find((entry) => entry.title === "Storm damage");
+
+    expect(article.source).toBe("Coast Times");
+    expect(article.url).toBe("https://example.com/storm");
+  });
+
+  test("falls back for missing metadata and unsafe URLs", () => {
+    const [article] = buildLibrary({
+      s1: [answer("a", "2026-01-01", [{ metadata: { url: "ftp://x/y" } }])],
+    });
+
+    expect(article.source).toBe("Unknown source");
+    expect(article.title).toBe("Untitled article");
+    expect(article.url).toBeNull();
+  });
+});
+
+describe("getLibrarySources", () => {
+  test("totals citations per outlet, most cited first", () => {
+    expect(
+      getLibrarySources([
+        { source: "A", citationCount: 1 },
+        { source: "B", citationCount: 3 },
+        { source: "A", citationCount: 1 },
+      ])
+    ).toEqual([
+      { source: "B", count: 3 },
+      { source: "A", count: 2 },
+    ]);
+  });
+});
+
+describe("sortLibrary", () => {
+  const entries = [
+    {
+      key: "a",
+      citationCount: 2,
+      maxSimilarity: 0.4,
+      lastCitedAt: "2026-01-03",
+    },
+    {
+      key: "b",
+      citationCount: 2,
+      maxSimilarity: 0.9,
+      lastCitedAt: "2026-01-01",
+    },
+    {
+      key: "c",
+      citationCount: 5,
+      maxSimilarity: 0.1,
+      lastCitedAt: "2026-01-02",
+    },
+  ];
+  const keys = (list) => list.map((entry) => entry.key);
+
+  test("sorts by citations, then match, by default", () => {
+    expect(keys(sortLibrary(entries))).toEqual(["c", "b", "a"]);
+  });
+
+  test("sorts by best match or recency", () => {
+    expect(keys(sortLibrary(entries, LIBRARY_SORTS.BEST_MATCH))).toEqual([
+      "b",
+      "a",
+      "c",
+    ]);
+    expect(keys(sortLibrary(entries, LIBRARY_SORTS.RECENT))).toEqual([
+      "a",
+      "c",
+      "b",
+    ]);
+  });
+
+  test("does not mutate the input", () => {
+    sortLibrary(entries, LIBRARY_SORTS.RECENT);
+    expect(keys(entries)).toEqual(["a", "b", "c"]);
+  });
+});
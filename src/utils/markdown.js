@@ -0,0 +1,63 @@
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+// Find a code fence left open at the end of the text. Returns the fence
+// string (e.g. "```") or null when every fence is closed.
+const findOpenFence = (lines) => {
+  let openFence = null;
+
+  lines.forEach((line) => {
+    const match = line.match(FENCE_PATTERN);
+    if (!match) return;
+
+    const fence = match[1];
+    if (!openFence) {
+      openFence = fence;
+    } else if (
+      fence[0] === openFence[0] &&
+      fence.length >= openFence.length &&
+      line.trim() === fence
+    ) {
+      openFence = null;
+    }
+  });
+
+  return openFence;
+};
+
+// Make half-received Markdown render as it will once complete, so the
+// bubble does not flash raw syntax between chunks:
+// - close an unterminated code fence
+// - close an unterminated inline code span on the last line
+// - hide a link whose URL is still arriving, keeping its text
+// - drop dangling emphasis markers at the very end and close open bold
+export const prepareStreamingMarkdown = (content = "") => {
+  if (!content) return content;
+
+  const lines = content.split("\n");
+  const openFence = findOpenFence(lines);
+
+  if (openFence) {
+    return `${content}\n${openFence}`;
+  }
+
+  let lastLine = lines.pop();
+
+  // Partial link: "[text](http://exa" -> "text"
+  lastLine = lastLine.replace(/\[([^\]]*)\]\([^)]*$/, "$1");
+
+  // Partial link text: "[some te" -> "some te"
+  lastLine = lastLine.replace(/\[([^\]]*)$/, "$1");
+
+  // Trailing emphasis markers with no text after them yet
+  lastLine = lastLine.replace(/(\s|^)[*_~]+$/, "$1");
+
+  // Odd number of backticks means an inline code span is still open
+  const backticks = (lastLine.match(/`/g) || []).length;
+  if (backticks % 2 === 1) {
+    lastLine += "`";
+  } else if ((lastLine.match(/\*\*/g) || []).length % 2 === 1) {
+    lastLine += "**";
+  }
+
+  return [...lines, lastLine].join("\n");
+};
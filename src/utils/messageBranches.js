@@ -0,0 +1,102 @@
+import { withChosenVariants } from "./messageVariants";
+
+// Editing a user message forks the conversation. The edited message keeps
+// every version of itself as `branches`, each with the messages that
+// followed it. The flat messages array is always the path being viewed:
+// the active branch's content sits on the message and its continuation is
+// the rest of the array, so its `messages` snapshot is only current for
+// the other branches.
+
+export const getBranchCount = (message) => message.branches?.length || 1;
+
+export const getActiveBranch = (message) => message.activeBranch || 0;
+
+// Save the continuation of the branch being left
+const snapshotBranches = (message, continuation) => {
+  const branches = message.branches || [
+    { content: message.content, timestamp: message.timestamp },
+  ];
+
+  return branches.map((branch, index) =>
+    index === getActiveBranch(message)
+      ? {
+          content: message.content,
+          timestamp: message.timestamp,
+          messages: continuation,
+        }
+      : branch
+  );
+};
+
+// Start a new branch at `messageId` with edited content. Returns the path
+// up to and including the edited message, ready for a new answer.
+export const branchFromMessage = (messages, messageId, content) => {
+  const index = messages.findIndex((message) => message.id === messageId);
+  if (index === -1) return messages;
+
+  const message = messages[index];
+  const timestamp = new Date().toISOString();
+  const branches = [
+    ...snapshotBranches(message, messages.slice(index + 1)),
+    { content, timestamp, messages: [] },
+  ];
+
+  return [
+    ...messages.slice(0, index),
+    {
+      ...message,
+      content,
+      timestamp,
+      branches,
+      activeBranch: branches.length - 1,
+    },
+  ];
+};
+
+// View another branch of the message with `messageId`
+export const switchBranch = (messages, messageId, branchIndex) => {
+  const index = messages.findIndex((message) => message.id === messageId);
+  const message = messages[index];
+  if (!message?.branches?.[branchIndex]) return messages;
+
+  const branches = snapshotBranches(message, messages.slice(index + 1));
+  const {
+    content,
+    timestamp,
+    messages: continuation = [],
+  } = branches[branchIndex];
+
+  return [
+    ...messages.slice(0, index),
+    { ...message, content, timestamp, branches, activeBranch: branchIndex },
+    ...continuation,
+  ];
+};
+
+// Nested export of every branch. Messages after the first branch point
+// live inside that message's `branches`, each with its own subtree.
+export const toConversationTree = (messages = []) => {
+  const index = messages.findIndex((message) => message.branches);
+  if (index === -1) return withChosenVariants(messages);
+
+  const message = messages[index];
+  const active = getActiveBranch(message);
+  const { branches, activeBranch, ...node } = withChosenVariants([message])[0];
+
+  return [
+    ...withChosenVariants(messages.slice(0, index)),
+    {
+      ...node,
+      activeBranch: active,
+      branches: message.branches.map((branch, branchIndex) => ({
+        content: branch.content,
+        timestamp: branch.timestamp,
+        messages: toConversationTree(
+          branchIndex === active
+            ? messages.slice(index + 1)
+            : branch.messages || []
+        ),
+      })),
+    },
+  ];
+};
@@ -0,0 +1,88 @@
+import {
+  branchFromMessage,
+  switchBranch,
+  getBranchCount,
+  getActiveBranch,
+  toConversationTree,
+} from "./messageBranches";
+import { MESSAGE_TYPES } from "./constants";
+
+const user = (id, content) => ({ id, type: MESSAGE_TYPES.USER, content });
+const answer = (id, content) => ({
+  id,
+  type: MESSAGE_TYPES.ASSISTANT,
+  content,
+});
+
+const conversation = [
+  user("u1", "Original question"),
+  answer("a1", "Original answer"),
+  user("u2", "Follow-up"),
+];
+
+describe("branchFromMessage", () => {
+  test("keeps the old continuation and truncates after the edit", () => {
+    const edited = branchFromMessage(conversation, "u1", "Edited question");
+
+    expect(edited).toHaveLength(1);
+    expect(edited[0].content).toBe("Edited question");
+    expect(getBranchCount(edited[0])).toBe(2);
+    expect(getActiveBranch(edited[0])).toBe(1);
+    expect(edited[0].branches[0].content).toBe("Original question");
+    expect(edited[0].branches[0].messages).toEqual(conversation.slice(1));
+  });
+
+  test("leaves the messages alone for an unknown ID", () => {
+    expect(branchFromMessage(conversation, "missing", "x")).toBe(conversation);
+  });
+});
+
+describe("switchBranch", () => {
+  test("restores each branch with its own continuation", () => {
+    const edited = [
+      ...branchFromMessage(conversation, "u1", "Edited question"),
+      answer("a2", "Edited answer"),
+    ];
+
+    const original = switchBranch(edited, "u1", 0);
+    expect(original.map((message) => message.content)).toEqual([
+      "Original question",
+      "Original answer",
+      "Follow-up",
+    ]);
+
+    const back = switchBranch(original, "u1", 1);
+    expect(back.map((message) => message.content)).toEqual([
+      "Edited question",
+      "Edited answer",
+    ]);
+  });
+
+  test("ignores a branch index that does not exist", () => {
+    expect(switchBranch(conversation, "u1", 3)).toBe(conversation);
+  });
+});
+
+describe("toConversationTree", () => {
+  test("nests each branch's messages under the branch point", () => {
+    const edited = [
+      ...branchFromMessage(conversation, "u1", "Edited question"),
+      answer("a2", "Edited answer"),
+    ];
+    const [root] = toConversationTree(edited);
+
+    expect(root.activeBranch).toBe(1);
+    expect(root.branches).toHaveLength(2);
+    expect(root.branches[0].messages.map((message) => message.id)).toEqual([
+      "a1",
+      "u2",
+    ]);
+    expect(root.branches[1].messages.map((message) => message.id)).toEqual([
+      "a2",
+    ]);
+  });
+
+  test("returns flat messages when nothing was edited", () => {
+    expect(toConversationTree(conversation)).toEqual(conversation);
+  });
+});
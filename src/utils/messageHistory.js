@@ -0,0 +1,149 @@
+import { MESSAGE_TYPES } from "./constants";
+
+const TITLE_MAX_LENGTH = 48;
+
+// Resolve a server role/type string to one of MESSAGE_TYPES
+const toMessageType = (role) => {
+  switch (role) {
+    case "user":
+    case "human":
+      return MESSAGE_TYPES.USER;
+    case "system":
+      return MESSAGE_TYPES.SYSTEM;
+    case "error":
+      return MESSAGE_TYPES.ERROR;
+    default:
+      return MESSAGE_TYPES.ASSISTANT;
+  }
+};
+
+// Map server history records into the message objects used by useChat.
+// Records are either single messages ({ role, content }) or whole turns
+// ({ userMessage, botResponse }).
+export const historyToMessages = (history = [], sessionId = "") => {
+  return history.flatMap((record, index) => {
+    const idPrefix = `hist_${sessionId}_${index}`;
+    const timestamp =
+      record.timestamp || record.createdAt || new Date().toISOString();
+    const context =
+      record.context || record.sources || record.metadata?.context || [];
+
+    if (record.userMessage !== undefined || record.botResponse !== undefined) {
+      return [
+        {
+          id: `${idPrefix}_user`,
+          type: MESSAGE_TYPES.USER,
+          content: record.userMessage || "",
+          timestamp,
+        },
+        {
+          id: `${idPrefix}_assistant`,
+          type: MESSAGE_TYPES.ASSISTANT,
+          content: record.botResponse || "",
+          timestamp,
+          metadata: { context, source: "history" },
+        },
+      ];
+    }
+
+    const type = toMessageType(record.role || record.type);
+    const message = {
+      id: `${idPrefix}_${type}`,
+      type,
+      content: record.content ?? record.message ?? "",
+      timestamp,
+    };
+
+    if (type === MESSAGE_TYPES.ASSISTANT) {
+      message.metadata = { context, source: "history" };
+    }
+
+    return [message];
+  });
+};
+
+// Title a conversation after its first user message
+export const deriveSessionTitle = (messages = []) => {
+  const firstUserMessage = messages.find(
+    (message) => message.type === MESSAGE_TYPES.USER && message.content
+  );
+
+  if (!firstUserMessage) return null;
+
+  const title = firstUserMessage.content.trim().replace(/\s+/g, " ");
+  return title.length > TITLE_MAX_LENGTH
+    ? `${title.slice(0, TITLE_MAX_LENGTH - 1)}…`
+    : title;
+};
+
+const sameMessage = (a, b) =>
+  a.type === b.type && (a.content || "").trim() === (b.content || "").trim();
+
+const toTime = (message) => {
+  const time = Date.parse(message.timestamp);
+  return Number.isNaN(time) ? Infinity : time;
+};
+
+// Interleave two runs of messages by timestamp, keeping each run's order
+const interleave = (first, second) => {
+  const merged = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < first.length || j < second.length) {
+    if (j >= second.length) {
+      merged.push(first[i++]);
+    } else if (i >= first.length || toTime(second[j]) < toTime(first[i])) {
+      merged.push(second[j++]);
+    } else {
+      merged.push(first[i++]);
+    }
+  }
+
+  return merged;
+};
+
+// Combine server history with the messages known locally: a saved copy of
+// the conversation and anything sent while the history was loading.
+// Messages are matched in order. A matched local message replaces its
+// history entry, keeping its ID and client-side metadata, and local
+// messages without a match (errors, pending sends) stay where they are.
+// History entries between two matches are turns the local copy replaced,
+// such as regenerated answers or abandoned edit branches, and are dropped.
+// Entries before the first or after the last match are history the local
+// copy does not have; they are placed by timestamp.
+export const mergeHistory = (historyMessages = [], localMessages = []) => {
+  const matches = [];
+  let cursor = 0;
+
+  localMessages.forEach((message, localIndex) => {
+    if (message.isStreaming) return;
+
+    for (let index = cursor; index < historyMessages.length; index++) {
+      if (sameMessage(historyMessages[index], message)) {
+        matches.push({ localIndex, historyIndex: index });
+        cursor = index + 1;
+        return;
+      }
+    }
+  });
+
+  if (matches.length === 0) {
+    return interleave(historyMessages, localMessages);
+  }
+
+  const first = matches[0];
+  const last = matches[matches.length - 1];
+
+  return [
+    ...interleave(
+      historyMessages.slice(0, first.historyIndex),
+      localMessages.slice(0, first.localIndex)
+    ),
+    ...localMessages.slice(first.localIndex, last.localIndex + 1),
+    ...interleave(
+      historyMessages.slice(last.historyIndex + 1),
+      localMessages.slice(last.localIndex + 1)
+    ),
+  ];
+};
@@ -0,0 +1,162 @@
+import {
+  historyToMessages,
+  deriveSessionTitle,
+  mergeHistory,
+} from "./messageHistory";
+import { MESSAGE_TYPES } from "./constants";
+
+const { USER, ASSISTANT, ERROR } = MESSAGE_TYPES;
+
+let clock = 0;
+
+const message = (id, type, content, extra = {}) => ({
+  id,
+  type,
+  content,
+  timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, clock++)).toISOString(),
+  ...extra,
+});
+
+const ids = (messages) => messages.map((msg) => msg.id);
+
+describe("historyToMessages", () => {
+  test("splits turn records into a user and an assistant message", () => {
+    const messages = historyToMessages(
+      [
+        {
+          userMessage: "Hi",
+          botResponse: "Hello",
+          timestamp: "2026-01-01T00:00:00.000Z",
+          sources: [{ id: "a" }],
+        },
+      ],
+      "s1"
+    );
+
+    expect(messages).toEqual([
+      {
+        id: "hist_s1_0_user",
+        type: USER,
+        content: "Hi",
+        timestamp: "2026-01-01T00:00:00.000Z",
+      },
+      {
+        id: "hist_s1_0_assistant",
+        type: ASSISTANT,
+        content: "Hello",
+        timestamp: "2026-01-01T00:00:00.000Z",
+        metadata: { context: [{ id: "a" }], source: "history" },
+      },
+    ]);
+  });
+
+  test("maps role aliases and message fields", () => {
+    const messages = historyToMessages([
+      { role: "human", message: "Question", createdAt: "2026-01-01" },
+      { role: "bot", content: "Answer" },
+      { type: "error", content: "Oops" },
+    ]);
+
+    expect(messages.map((msg) => msg.type)).toEqual([USER, ASSISTANT, ERROR]);
+    expect(messages[0].content).toBe("Question");
+    expect(messages[0].timestamp).toBe("2026-01-01");
+  });
+});
+
+describe("deriveSessionTitle", () => {
+  test("uses the first user message, collapsed and truncated", () => {
+    const title = deriveSessionTitle([
+      message("a", ASSISTANT, "Welcome"),
+      message("q", USER, `  What   happened ${"x".repeat(60)}`),
+    ]);
+
+    expect(title).toHaveLength(48);
+    expect(title.startsWith("What happened x")).toBe(true);
+    expect(title.endsWith("…")).toBe(true);
+  });
+
+  test("is null without a user message", () => {
+    expect(deriveSessionTitle([message("a", ASSISTANT, "Hi")])).toBeNull();
+  });
+});
+
+describe("mergeHistory", () => {
+  test("keeps local-only messages in place", () => {
+    const local = [
+      message("q1", USER, "First"),
+      message("err", ERROR, "Failed to send message"),
+      message("q2", USER, "Second"),
+      message("a2", ASSISTANT, "Answer"),
+    ];
+    const history = [
+      message("h_q2", USER, "Second"),
+      message("h_a2", ASSISTANT, "Answer"),
+    ];
+
+    expect(ids(mergeHistory(history, local))).toEqual([
+      "q1",
+      "err",
+      "q2",
+      "a2",
+    ]);
+  });
+
+  test("drops server turns the local copy replaced", () => {
+    const local = [
+      message("q", USER, "Question"),
+      message("a", ASSISTANT, "Second answer"),
+    ];
+    const history = [
+      message("h_q1", USER, "Question"),
+      message("h_a1", ASSISTANT, "First answer"),
+      message("h_q2", USER, "Question"),
+      message("h_a2", ASSISTANT, "Second answer"),
+    ];
+
+    expect(ids(mergeHistory(history, local))).toEqual(["q", "a"]);
+  });
+
+  test("adds older and newer history around the local copy", () => {
+    const older = message("h_old", USER, "Older");
+    const q = message("q", USER, "Question");
+    const a = message("a", ASSISTANT, "Answer");
+    const newer = message("h_new", USER, "From another device");
+
+    const merged = mergeHistory(
+      [older, { ...q, id: "h_q" }, { ...a, id: "h_a" }, newer],
+      [q, a]
+    );
+
+    expect(ids(merged)).toEqual(["h_old", "q", "a", "h_new"]);
+  });
+
+  test("orders unmatched messages by timestamp", () => {
+    const history = [
+      message("h1", USER, "One"),
+      message("h2", ASSISTANT, "Two"),
+    ];
+    const sentWhileLoading = [message("new", USER, "Three")];
+
+    expect(ids(mergeHistory(history, sentWhileLoading))).toEqual([
+      "h1",
+      "h2",
+      "new",
+    ]);
+  });
+
+  test("never matches a streaming message", () => {
+    const history = [message("h", ASSISTANT, "Partial")];
+    const local = [message("s", ASSISTANT, "Partial", { isStreaming: true })];
+
+    expect(ids(mergeHistory(history, local))).toEqual(["h", "s"]);
+  });
+
+  test("keeps local metadata on matched messages", () => {
+    const local = [
+      message("a", ASSISTANT, "Answer", { metadata: { latencyMs: 12 } }),
+    ];
+    const history = [message("h", ASSISTANT, " Answer ")];
+
+    expect(mergeHistory(history, local)).toEqual(local);
+  });
+});
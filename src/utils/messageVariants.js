@@ -0,0 +1,61 @@
+// Regenerated answers keep every version on the message as `variants`.
+// The message's own content, timestamp and metadata always mirror the
+// active variant, so everything reading messages sees the chosen answer.
+
+const toVariant = ({ content, timestamp, metadata }) => ({
+  content,
+  timestamp,
+  metadata,
+});
+
+export const getVariantCount = (message) => message.variants?.length || 1;
+
+export const getActiveVariant = (message) => message.activeVariant || 0;
+
+// Show the variant at `index`
+export const selectVariant = (message, index) => {
+  if (!message.variants?.[index]) return message;
+
+  return {
+    ...message,
+    ...message.variants[index],
+    activeVariant: index,
+  };
+};
+
+// Record the current answer as the first variant before it is regenerated
+export const ensureVariants = (message) =>
+  message.variants
+    ? message
+    : { ...message, variants: [toVariant(message)], activeVariant: 0 };
+
+// Append a finished answer as the newest variant and show it
+export const addVariant = (message, answer) => {
+  const { variants } = ensureVariants(message);
+  const nextVariants = [...variants, toVariant(answer)];
+
+  return selectVariant(
+    { ...message, variants: nextVariants },
+    nextVariants.length - 1
+  );
+};
+
+// Put back the variant that was showing before a regeneration started
+export const restoreVariant = (message) =>
+  message.variants
+    ? selectVariant(message, getActiveVariant(message))
+    : message;
+
+// Votes belong to one version of an answer. The first keeps the plain
+// message ID so votes cast before any regeneration still apply to it.
+export const getFeedbackKey = (message) => {
+  const active = getActiveVariant(message);
+  return active === 0 ? message.id : `${message.id}_v${active}`;
+};
+
+// Drop the alternatives so exports and saved copies hold the chosen answer
+export const withChosenVariants = (messages = []) =>
+  messages.map(({ variants, activeVariant, isStreaming, ...message }) => ({
+    ...message,
+    ...(variants && { variantCount: variants.length }),
+  }));
@@ -0,0 +1,69 @@
+import {
+  addVariant,
+  ensureVariants,
+  getFeedbackKey,
+  getVariantCount,
+  restoreVariant,
+  selectVariant,
+  withChosenVariants,
+} from "./messageVariants";
+
+const first = {
+  id: "a1",
+  content: "First answer",
+  timestamp: "2026-01-05T09:00:00.000Z",
+  metadata: { responseTime: 100 },
+};
+
+const second = {
+  content: "Second answer",
+  timestamp: "2026-01-05T09:01:00.000Z",
+  metadata: { responseTime: 200 },
+};
+
+describe("variants", () => {
+  test("adding a variant keeps the first answer and shows the new one", () => {
+    const message = addVariant(first, second);
+
+    expect(getVariantCount(message)).toBe(2);
+    expect(message.activeVariant).toBe(1);
+    expect(message.content).toBe("Second answer");
+    expect(message.variants[0].content).toBe("First answer");
+  });
+
+  test("selecting a variant mirrors its content and metadata", () => {
+    const message = selectVariant(addVariant(first, second), 0);
+
+    expect(message.content).toBe("First answer");
+    expect(message.metadata).toEqual({ responseTime: 100 });
+  });
+
+  test("restoring puts back the active variant after a failed regeneration", () => {
+    const message = {
+      ...ensureVariants(first),
+      content: "Partial stream",
+    };
+
+    expect(restoreVariant(message).content).toBe("First answer");
+    expect(restoreVariant(first)).toBe(first);
+  });
+
+  test("feedback keys keep the plain ID for the first variant", () => {
+    const message = addVariant(first, second);
+
+    expect(getFeedbackKey(selectVariant(message, 0))).toBe("a1");
+    expect(getFeedbackKey(message)).toBe("a1_v1");
+  });
+
+  test("withChosenVariants drops alternatives and streaming state", () => {
+    const [saved] = withChosenVariants([
+      { ...addVariant(first, second), isStreaming: true },
+    ]);
+
+    expect(saved.variants).toBeUndefined();
+    expect(saved.activeVariant).toBeUndefined();
+    expect(saved.isStreaming).toBeUndefined();
+    expect(saved.variantCount).toBe(2);
+    expect(saved.content).toBe("Second answer");
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  STORAGE_KEYS,
+  SEND_SHORTCUTS,
+  TRANSPORT_PREFERENCES,
+  THEME_MODES,
+} from "./constants";
+
+// Bump when the stored shape changes and add a migration below
+export const PREFERENCES_VERSION = 2;
+
+export const DEFAULT_PREFERENCES = {
+  version: PREFERENCES_VERSION,
+  showTimestamps: false,
+  autoScroll: true,
+  sendShortcut: SEND_SHORTCUTS.ENTER,
+  preferredTransport: TRANSPORT_PREFERENCES.AUTO,
+  theme: THEME_MODES.DARK,
+  highContrast: false,
+};
+
+// Allowed values per preference; anything else falls back to the default
+const VALIDATORS = {
+  showTimestamps: (value) => typeof value === "boolean",
+  autoScroll: (value) => typeof value === "boolean",
+  sendShortcut: (value) => Object.values(SEND_SHORTCUTS).includes(value),
+  preferredTransport: (value) =>
+    Object.values(TRANSPORT_PREFERENCES).includes(value),
+  theme: (value) => Object.values(THEME_MODES).includes(value),
+  highContrast: (value) => typeof value === "boolean",
+};
+
+// Migrations keyed by the version they produce. Each receives the stored
+// object at the previous version.
+const MIGRATIONS = {
+  // Unversioned objects: keep any recognised keys
+  1: (stored) => ({ ...stored, version: 1 }),
+  // High-contrast variant added alongside the theming engine
+  2: (stored) => ({ ...stored, highContrast: false, version: 2 }),
+};
+
+// Upgrade stored preferences to the current version and drop invalid values
+export const migratePreferences = (stored) => {
+  if (!stored || typeof stored !== "object") {
+    return { ...DEFAULT_PREFERENCES };
+  }
+
+  let migrated = { ...stored };
+  const fromVersion = Number(stored.version) || 0;
+
+  for (
+    let version = fromVersion + 1;
+    version <= PREFERENCES_VERSION;
+    version++
+  ) {
+    if (MIGRATIONS[version]) {
+      migrated = MIGRATIONS[version](migrated);
+    }
+  }
+
+  return Object.keys(DEFAULT_PREFERENCES).reduce(
+    (preferences, key) => {
+      if (VALIDATORS[key] && VALIDATORS[key](migrated[key])) {
+        preferences[key] = migrated[key];
+      }
+      return preferences;
+    },
+    { ...DEFAULT_PREFERENCES }
+  );
+};
+
+// Read preferences from localStorage
+export const loadPreferences = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES);
+    return migratePreferences(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Ignoring corrupt preferences:", error);
+    return { ...DEFAULT_PREFERENCES };
+  }
+};
+
+// Write preferences to localStorage
+export const savePreferences = (preferences) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEYS.USER_PREFERENCES,
+      JSON.stringify(preferences)
+    );
+  } catch (error) {
+    console.error("Error saving preferences:", error);
+  }
+};
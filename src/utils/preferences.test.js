@@ -0,0 +1,60 @@
+import {
+  migratePreferences,
+  DEFAULT_PREFERENCES,
+  PREFERENCES_VERSION,
+} from "./preferences";
+import { SEND_SHORTCUTS, THEME_MODES, TRANSPORTS } from "./constants";
+
+describe("migratePreferences", () => {
+  test("returns the defaults for missing or malformed data", () => {
+    expect(migratePreferences(null)).toEqual(DEFAULT_PREFERENCES);
+    expect(migratePreferences("dark")).toEqual(DEFAULT_PREFERENCES);
+  });
+
+  test("upgrades unversioned preferences and keeps known keys", () => {
+    const migrated = migratePreferences({
+      showTimestamps: true,
+      sendShortcut: SEND_SHORTCUTS.CTRL_ENTER,
+      theme: THEME_MODES.LIGHT,
+      fontSize: "large",
+    });
+
+    expect(migrated).toEqual({
+      ...DEFAULT_PREFERENCES,
+      showTimestamps: true,
+      sendShortcut: SEND_SHORTCUTS.CTRL_ENTER,
+      theme: THEME_MODES.LIGHT,
+    });
+    expect(migrated.version).toBe(PREFERENCES_VERSION);
+  });
+
+  test("adds high contrast, switched off, when coming from version 1", () => {
+    const migrated = migratePreferences({
+      version: 1,
+      highContrast: true,
+      preferredTransport: TRANSPORTS.SSE,
+    });
+
+    expect(migrated.highContrast).toBe(false);
+    expect(migrated.preferredTransport).toBe(TRANSPORTS.SSE);
+  });
+
+  test("keeps current preferences as they are", () => {
+    const current = { ...DEFAULT_PREFERENCES, highContrast: true };
+
+    expect(migratePreferences(current)).toEqual(current);
+  });
+
+  test("falls back to the default for invalid values", () => {
+    const migrated = migratePreferences({
+      version: PREFERENCES_VERSION,
+      autoScroll: "yes",
+      preferredTransport: "carrier-pigeon",
+    });
+
+    expect(migrated.autoScroll).toBe(DEFAULT_PREFERENCES.autoScroll);
+    expect(migrated.preferredTransport).toBe(
+      DEFAULT_PREFERENCES.preferredTransport
+    );
+  });
+});
@@ -0,0 +1,68 @@
+import { ROUTES, FEATURES } from "./constants";
+
+// Route names, used to pick the view for a path
+export const ROUTE_NAMES = {
+  CHAT: "chat",
+  SEARCH: "search",
+  LIBRARY: "library",
+  HISTORY: "history",
+  SETTINGS: "settings",
+  HELP: "help",
+  ADMIN: "admin",
+  HEALTH: "health",
+  STATS: "stats",
+  NOT_FOUND: "not_found",
+};
+
+// Ordered route table. ":param" segments capture URL-encoded values.
+const ROUTE_TABLE = [
+  { name: ROUTE_NAMES.CHAT, pattern: ROUTES.HOME },
+  { name: ROUTE_NAMES.CHAT, pattern: ROUTES.CHAT },
+  { name: ROUTE_NAMES.CHAT, pattern: `${ROUTES.CHAT}/:sessionId` },
+  { name: ROUTE_NAMES.SEARCH, pattern: ROUTES.SEARCH },
+  { name: ROUTE_NAMES.LIBRARY, pattern: ROUTES.LIBRARY },
+  { name: ROUTE_NAMES.HISTORY, pattern: ROUTES.HISTORY },
+  { name: ROUTE_NAMES.SETTINGS, pattern: ROUTES.SETTINGS },
+  { name: ROUTE_NAMES.HELP, pattern: ROUTES.HELP },
+  { name: ROUTE_NAMES.HEALTH, pattern: ROUTES.HEALTH },
+  { name: ROUTE_NAMES.STATS, pattern: ROUTES.STATS },
+  // Only reachable when the admin panel is enabled for this deployment
+  ...(FEATURES.ADMIN_PANEL
+    ? [{ name: ROUTE_NAMES.ADMIN, pattern: ROUTES.ADMIN }]
+    : []),
+];
+
+const splitPath = (path) => path.split("/").filter(Boolean);
+
+// Match a pathname against the route table
+export const matchRoute = (pathname = "/") => {
+  const segments = splitPath(pathname);
+
+  for (const route of ROUTE_TABLE) {
+    const patternSegments = splitPath(route.pattern);
+    if (patternSegments.length !== segments.length) continue;
+
+    const params = {};
+    const isMatch = patternSegments.every((segment, index) => {
+      if (segment.startsWith(":")) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(segments[index]);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      }
+      return segment === segments[index];
+    });
+
+    if (isMatch) {
+      return { name: route.name, path: pathname, params };
+    }
+  }
+
+  return { name: ROUTE_NAMES.NOT_FOUND, path: pathname, params: {} };
+};
+
+// Path for a specific conversation
+export const buildChatPath = (sessionId) =>
+  sessionId ? `${ROUTES.CHAT}/${encodeURIComponent(sessionId)}` : ROUTES.CHAT;
@@ -0,0 +1,40 @@
+import { matchRoute, buildChatPath, ROUTE_NAMES } from "./router";
+import { ROUTES } from "./constants";
+
+describe("matchRoute", () => {
+  test("maps the home and chat paths to the chat view", () => {
+    expect(matchRoute("/").name).toBe(ROUTE_NAMES.CHAT);
+    expect(matchRoute(ROUTES.CHAT).name).toBe(ROUTE_NAMES.CHAT);
+  });
+
+  test("captures and decodes the session ID", () => {
+    expect(matchRoute("/chat/session%20one")).toEqual({
+      name: ROUTE_NAMES.CHAT,
+      path: "/chat/session%20one",
+      params: { sessionId: "session one" },
+    });
+  });
+
+  test("ignores a trailing slash", () => {
+    expect(matchRoute(`${ROUTES.HISTORY}/`).name).toBe(ROUTE_NAMES.HISTORY);
+  });
+
+  test("returns not found for unknown or malformed paths", () => {
+    expect(matchRoute("/nowhere").name).toBe(ROUTE_NAMES.NOT_FOUND);
+    expect(matchRoute("/chat/a/b").name).toBe(ROUTE_NAMES.NOT_FOUND);
+    expect(matchRoute("/chat/%E0%A4%A").name).toBe(ROUTE_NAMES.NOT_FOUND);
+  });
+
+  test("hides the admin panel unless it is enabled", () => {
+    expect(matchRoute(ROUTES.ADMIN).name).toBe(ROUTE_NAMES.NOT_FOUND);
+  });
+});
+
+describe("buildChatPath", () => {
+  test("round-trips through matchRoute", () => {
+    const path = buildChatPath("a/b c");
+
+    expect(matchRoute(path).params.sessionId).toBe("a/b c");
+    expect(buildChatPath(null)).toBe(ROUTES.CHAT);
+  });
+});
@@ -0,0 +1,142 @@
+import { MESSAGE_TYPES } from "./constants";
+
+const MAX_RESULTS = 50;
+const SNIPPET_RADIUS = 70;
+const PHRASE_BONUS = 5;
+
+// Only conversation content is searchable
+const SEARCHABLE_TYPES = [MESSAGE_TYPES.USER, MESSAGE_TYPES.ASSISTANT];
+
+// Split text into lowercase word tokens
+export const tokenize = (text = "") => {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 1);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Score a message against the query terms. Every term must match a word
+// (exactly or as a prefix); exact words, the full phrase and recency rank
+// higher. Returns 0 for non-matching messages.
+const scoreMessage = (message, terms, phrase) => {
+  const content = message.content || "";
+  const words = tokenize(content);
+  let score = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+
+    words.forEach((word) => {
+      if (word === term) {
+        termScore += 2;
+      } else if (word.startsWith(term)) {
+        termScore += 1;
+      }
+    });
+
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+
+  if (phrase && content.toLowerCase().includes(phrase)) {
+    score += PHRASE_BONUS;
+  }
+
+  // Dampen long messages so short, focused answers rank first
+  score /= Math.log2(words.length + 2);
+
+  // Nudge recent messages up
+  const ageDays = (Date.now() - new Date(message.timestamp)) / 86400000;
+  if (ageDays >= 0) {
+    score += 1 / (1 + ageDays);
+  }
+
+  return score;
+};
+
+// Cut a snippet around the first match and split it into highlighted and
+// plain segments
+export const buildSnippet = (content = "", terms = []) => {
+  if (terms.length === 0) {
+    return [{ text: content.slice(0, SNIPPET_RADIUS * 2), highlight: false }];
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const firstMatch = content.search(pattern);
+  const center = Math.max(firstMatch, 0);
+
+  let start = Math.max(center - SNIPPET_RADIUS, 0);
+  let end = Math.min(center + SNIPPET_RADIUS, content.length);
+
+  // Widen to word boundaries
+  while (start > 0 && /\S/.test(content[start - 1])) start--;
+  while (end < content.length && /\S/.test(content[end])) end++;
+
+  const excerpt = content.slice(start, end).replace(/\s+/g, " ");
+  const segments = excerpt
+    .split(pattern)
+    .filter(Boolean)
+    .map((text) => ({
+      text,
+      highlight: terms.some((term) => text.toLowerCase() === term),
+    }));
+
+  if (start > 0) {
+    segments.unshift({ text: "…", highlight: false });
+  }
+  if (end < content.length) {
+    segments.push({ text: "…", highlight: false });
+  }
+
+  return segments;
+};
+
+// Split the full text into highlighted and plain segments. Whole words
+// starting with a term are highlighted, so "rate" marks "rates" too.
+export const highlightTerms = (text = "", terms = []) => {
+  if (!text || terms.length === 0) return [{ text, highlight: false }];
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])((?:${terms
+      .map(escapeRegExp)
+      .join("|")})[\\p{L}\\p{N}]*)`,
+    "giu"
+  );
+
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, highlight: index % 2 === 1 }))
+    .filter((segment) => segment.text);
+};
+
+// Search the messages of several conversations.
+// `conversations` maps session ID -> messages. Results are sorted by score.
+export const searchConversations = (conversations = {}, query = "") => {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  const phrase = terms.length > 1 ? query.trim().toLowerCase() : null;
+  const results = [];
+
+  Object.entries(conversations).forEach(([sessionId, messages]) => {
+    (messages || []).forEach((message) => {
+      if (!SEARCHABLE_TYPES.includes(message.type)) return;
+
+      const score = scoreMessage(message, terms, phrase);
+      if (score > 0) {
+        results.push({
+          sessionId,
+          messageId: message.id,
+          type: message.type,
+          timestamp: message.timestamp,
+          score,
+          snippet: buildSnippet(message.content, terms),
+        });
+      }
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+};
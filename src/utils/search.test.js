@@ -0,0 +1,98 @@
+import {
+  tokenize,
+  buildSnippet,
+  highlightTerms,
+  searchConversations,
+} from "./search";
+import { MESSAGE_TYPES } from "./constants";
+
+const message = (id, content, type = MESSAGE_TYPES.ASSISTANT) => ({
+  id,
+  type,
+  content,
+  timestamp: "2026-01-05T09:00:00.000Z",
+});
+
+describe("tokenize", () => {
+  test("lowercases, splits on punctuation and drops single letters", () => {
+    expect(tokenize("Rates rose 2%, a lot — Zürich!")).toEqual([
+      "rates",
+      "rose",
+      "lot",
+      "zürich",
+    ]);
+  });
+});
+
+describe("searchConversations", () => {
+  const conversations = {
+    first: [
+      message("q1", "What happened to interest rates?", MESSAGE_TYPES.USER),
+      message("a1", "Interest rates rose again this week."),
+      message("e1", "interest rates", MESSAGE_TYPES.ERROR),
+    ],
+    second: [message("a2", "The storm damaged roofs along the coast.")],
+  };
+
+  test("requires every term to match a word or word prefix", () => {
+    const results = searchConversations(conversations, "interest rat");
+
+    expect(results.map((result) => result.messageId).sort()).toEqual([
+      "a1",
+      "q1",
+    ]);
+    expect(searchConversations(conversations, "interest storm")).toEqual([]);
+  });
+
+  test("skips messages that are not conversation content", () => {
+    const results = searchConversations(conversations, "interest");
+
+    expect(results.some((result) => result.messageId === "e1")).toBe(false);
+  });
+
+  test("ranks exact words above prefixes", () => {
+    const results = searchConversations(
+      {
+        s: [
+          message("prefix", "Storms everywhere"),
+          message("exact", "Storm everywhere"),
+        ],
+      },
+      "storm"
+    );
+
+    expect(results.map((result) => result.messageId)).toEqual([
+      "exact",
+      "prefix",
+    ]);
+  });
+
+  test("returns nothing for an empty query", () => {
+    expect(searchConversations(conversations, "  ")).toEqual([]);
+  });
+});
+
+describe("buildSnippet", () => {
+  test("highlights matches and marks trimmed text", () => {
+    const content = `${"lead ".repeat(40)}rates rose ${"tail ".repeat(40)}`;
+    const segments = buildSnippet(content, ["rates"]);
+
+    expect(segments[0]).toEqual({ text: "…", highlight: false });
+    expect(segments[segments.length - 1]).toEqual({
+      text: "…",
+      highlight: false,
+    });
+    expect(segments.filter((segment) => segment.highlight)).toEqual([
+      { text: "rates", highlight: true },
+    ]);
+  });
+});
+
+describe("highlightTerms", () => {
+  test("highlights whole words starting with a term", () => {
+    expect(highlightTerms("Rates and prorates", ["rate"])).toEqual([
+      { text: "Rates", highlight: true },
+      { text: " and prorates", highlight: false },
+    ]);
+  });
+});
@@ -0,0 +1,6 @@
+// Conversation index entries, most recently active first, without
+// mutating the input
+export const sortByLastActivity = (sessions = []) =>
+  [...sessions].sort(
+    (a, b) => new Date(b.lastActivity) - new Date(a.lastActivity)
+  );
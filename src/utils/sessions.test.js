@@ -0,0 +1,22 @@
+import { sortByLastActivity } from "./sessions";
+
+describe("sortByLastActivity", () => {
+  const sessions = [
+    { id: "old", lastActivity: "2026-01-01T09:00:00.000Z" },
+    { id: "new", lastActivity: "2026-01-03T09:00:00.000Z" },
+    { id: "mid", lastActivity: "2026-01-02T09:00:00.000Z" },
+  ];
+
+  test("puts the most recently active first", () => {
+    expect(sortByLastActivity(sessions).map((s) => s.id)).toEqual([
+      "new",
+      "mid",
+      "old",
+    ]);
+  });
+
+  test("does not mutate the input", () => {
+    sortByLastActivity(sessions);
+    expect(sessions[0].id).toBe("old");
+  });
+});
@@ -0,0 +1,157 @@
+import { THEME, THEME_MODES, FEATURES } from "./constants";
+
+const SYSTEM_DARK_QUERY = "(prefers-color-scheme: dark)";
+
+// Palettes map CSS custom property names (without the leading --) to values.
+// styles/variables.scss reads the same names, falling back to DARK_PALETTE.
+const DARK_PALETTE = {
+  "gray-50": "#1a1a1a",
+  "gray-100": "#2d2d2d",
+  "gray-200": "#404040",
+  "gray-300": "#525252",
+  "gray-400": "#737373",
+  "gray-500": "#a3a3a3",
+  "gray-600": "#d4d4d4",
+  "gray-700": "#e5e5e5",
+  "gray-800": "#f5f5f5",
+  "gray-900": "#ffffff",
+  "body-bg": "#0f0f0f",
+  "surface-bg": "#1a1a1a",
+  "card-bg": "#2d2d2d",
+  "input-bg": "#404040",
+  "border-color": "#404040",
+  "divider-color": "rgba(115, 115, 115, 0.2)",
+  "assistant-message-bg": "#2d2d2d",
+  "assistant-message-text": "#f5f5f5",
+  "system-message-bg": "#525252",
+  "system-message-text": "#ffffff",
+};
+
+const LIGHT_PALETTE = {
+  "gray-50": "#fafafa",
+  "gray-100": "#f0f0f0",
+  "gray-200": "#e5e5e5",
+  "gray-300": "#d4d4d4",
+  "gray-400": "#a3a3a3",
+  "gray-500": "#6b6b6b",
+  "gray-600": "#4a4a4a",
+  "gray-700": "#333333",
+  "gray-800": "#1a1a1a",
+  "gray-900": "#000000",
+  "body-bg": "#ffffff",
+  "surface-bg": THEME.COLORS.LIGHT,
+  "card-bg": "#f0f1f3",
+  "input-bg": "#ffffff",
+  "border-color": "#dee2e6",
+  "divider-color": "rgba(0, 0, 0, 0.08)",
+  "assistant-message-bg": "#f1f3f5",
+  "assistant-message-text": THEME.COLORS.DARK,
+  "system-message-bg": "#e9ecef",
+  "system-message-text": THEME.COLORS.DARK,
+};
+
+// High contrast pushes text to the extremes and makes borders visible
+const HIGH_CONTRAST_OVERRIDES = {
+  [THEME_MODES.DARK]: {
+    "gray-400": "#b3b3b3",
+    "gray-500": "#d9d9d9",
+    "gray-600": "#f0f0f0",
+    "gray-700": "#ffffff",
+    "gray-800": "#ffffff",
+    "body-bg": "#000000",
+    "surface-bg": "#000000",
+    "card-bg": "#121212",
+    "input-bg": "#1a1a1a",
+    "border-color": "#ffffff",
+    "divider-color": "rgba(255, 255, 255, 0.5)",
+    "assistant-message-bg": "#000000",
+    "assistant-message-text": "#ffffff",
+    "system-message-bg": "#1a1a1a",
+  },
+  [THEME_MODES.LIGHT]: {
+    "gray-400": "#4d4d4d",
+    "gray-500": "#333333",
+    "gray-600": "#1a1a1a",
+    "gray-700": "#000000",
+    "gray-800": "#000000",
+    "surface-bg": "#ffffff",
+    "card-bg": "#ffffff",
+    "border-color": "#000000",
+    "divider-color": "rgba(0, 0, 0, 0.5)",
+    "assistant-message-bg": "#ffffff",
+    "assistant-message-text": "#000000",
+    "system-message-bg": "#ffffff",
+    "system-message-text": "#000000",
+  },
+};
+
+// Brand colors are shared by every palette
+const BRAND_TOKENS = Object.entries(THEME.COLORS).reduce(
+  (tokens, [name, value]) => {
+    tokens[`color-${name.toLowerCase()}`] = value;
+    return tokens;
+  },
+  {}
+);
+
+// Whether the OS currently asks for a dark color scheme
+export const prefersDarkScheme = () =>
+  typeof window !== "undefined" && window.matchMedia
+    ? window.matchMedia(SYSTEM_DARK_QUERY).matches
+    : true;
+
+// Subscribe to OS color scheme changes. Returns an unsubscribe function.
+export const watchSystemScheme = (callback) => {
+  if (typeof window === "undefined" || !window.matchMedia) {
+    return () => {};
+  }
+
+  const query = window.matchMedia(SYSTEM_DARK_QUERY);
+  const handleChange = (e) => callback(e.matches);
+
+  query.addEventListener("change", handleChange);
+  return () => query.removeEventListener("change", handleChange);
+};
+
+// Resolve a preference (dark/light/system) to the palette to render.
+// Without FEATURES.DARK_MODE the app keeps its original dark palette.
+export const resolveThemeMode = (
+  mode,
+  systemPrefersDark = prefersDarkScheme()
+) => {
+  if (!FEATURES.DARK_MODE) {
+    return THEME_MODES.DARK;
+  }
+
+  if (mode === THEME_MODES.SYSTEM) {
+    return systemPrefersDark ? THEME_MODES.DARK : THEME_MODES.LIGHT;
+  }
+
+  return mode === THEME_MODES.LIGHT ? THEME_MODES.LIGHT : THEME_MODES.DARK;
+};
+
+// Full set of tokens for a resolved mode
+export const getThemeTokens = (resolvedMode, highContrast = false) => {
+  const palette =
+    resolvedMode === THEME_MODES.LIGHT ? LIGHT_PALETTE : DARK_PALETTE;
+
+  return {
+    ...palette,
+    ...(highContrast ? HIGH_CONTRAST_OVERRIDES[resolvedMode] : {}),
+    ...BRAND_TOKENS,
+  };
+};
+
+// Write the tokens onto the root element so the change needs no reload
+export const applyTheme = (resolvedMode, highContrast = false) => {
+  const root = document.documentElement;
+  const tokens = getThemeTokens(resolvedMode, highContrast);
+
+  Object.entries(tokens).forEach(([name, value]) => {
+    root.style.setProperty(`--${name}`, value);
+  });
+
+  root.dataset.theme = resolvedMode;
+  root.dataset.contrast = highContrast ? "high" : "normal";
+  root.style.colorScheme = resolvedMode;
+};